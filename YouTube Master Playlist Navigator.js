@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         YouTube Master Playlist Navigator
 // @namespace    http://tampermonkey.net/
-// @version      0.17.2
+// @version      0.42.0
 // @description  Top bar for managing master playlists and navigating videos from sub–playlists on YouTube.
 // @author       https://github.com/hjjg200/youtube-playlist-navbar
 // @match        https://*.youtube.com/*
@@ -14,67 +14,426 @@
   'use strict';
 
   // --------- CONFIGURATION & CONSTANTS ----------
-  let API_KEY;
   const API_BASE = "https://www.googleapis.com/youtube/v3";
-  const CACHE_EXPIRY = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
-  const CACHE_LARGE_EXPIRY = 24 * 60 * 60 * 1000; // 1 day for playlists with LARGE_SIZE+ videos
-  const LARGE_SIZE = 1000; // 1000+ videos are considered large
   const MASTER_PLAYLIST_KEY = 'tm_master_playlists'; // stored master playlists
 
-  function ensureAPIKey() {
-    API_KEY = localStorage.getItem("tm_yt_api_key");
-    while (!API_KEY) {
-      API_KEY = prompt("API KEY\nhttps://developers.google.com/youtube/v3");
+  // --------- SETTINGS ----------
+  const SETTINGS_KEY = 'tm_settings';
+
+  /**
+   * User settings and their defaults. Values are kept in the unit shown in the settings panel
+   * and converted where they are read. Settings with `parse` are edited as text, the boolean ones
+   * as checkboxes and the others are numbers.
+   */
+  const SETTING_DEFINITIONS = {
+    cacheExpiryHours: {
+      label: "Cache expiry (hours)",
+      default: 6,
+      min: 0.1,
+      max: 24 * 30,
+    },
+    largeCacheExpiryHours: {
+      label: "Cache expiry of large playlists (hours)",
+      default: 24,
+      min: 0.1,
+      max: 24 * 30,
+    },
+    largeSize: {
+      label: "Videos for a playlist to count as large",
+      default: 1000,
+      min: 1,
+      max: 100000,
+      integer: true,
+    },
+    fullRescanDays: {
+      label: "Full rescan interval to drop removed videos (days)",
+      default: 7,
+      min: 0,
+      max: 365,
+    },
+    refreshCooldownMinutes: {
+      label: "Minimum interval between refreshes while watching (minutes)",
+      default: 30,
+      min: 1,
+      max: 24 * 60,
+    },
+    nearEndWindows: {
+      label: "Refresh near the end, as video length:seconds left (seconds)",
+      default: [[1200, 310], [600, 190], [300, 110]],
+      parse: parseRefreshWindows,
+      format: formatRefreshWindows,
+    },
+    nearEndMargin: {
+      label: "No refresh in the last (seconds)",
+      default: 90,
+      min: 0,
+      max: 600,
+      integer: true,
+    },
+    dailyQuota: {
+      label: "Daily quota of each API key (units)",
+      default: 10000, // Default daily quota of a Google Cloud project
+      min: 1,
+      max: 100000000,
+      integer: true,
+    },
+    apiConcurrency: {
+      label: "Concurrent API requests",
+      default: 4,
+      min: 1,
+      max: 16,
+      integer: true,
+    },
+    apiRequestsPerSecond: {
+      label: "API requests per second",
+      default: 10,
+      min: 1,
+      max: 100,
+      integer: true,
+    },
+    skipPlayedWithinHours: {
+      label: "Skip videos played within (hours, 0 to turn off)",
+      default: 0,
+      min: 0,
+      max: 24 * 365,
+    },
+    skipWatchedPercent: {
+      label: "Skip videos watched past (percent, 0 to turn off)",
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    cycleReseed: {
+      label: "New seed for each pass of cycle mode",
+      default: false,
+      type: "boolean",
+    },
+    favoriteBoost: {
+      label: "How many times as often favorite videos play in the shuffle",
+      default: 3,
+      min: 1,
+      max: 100,
+    },
+    shortsMaxSeconds: {
+      label: "Longest video that counts as a Short (seconds)",
+      default: 60,
+      min: 1,
+      max: 600,
+      integer: true,
+    },
+    queueSize: {
+      label: "Videos shown before and after the current one in the queue",
+      default: 10,
+      min: 1,
+      max: 100,
+      integer: true,
+    },
+    historyLimit: {
+      label: "Plays kept in the history of each master playlist",
+      default: 5000,
+      min: 1,
+      max: 100000,
+      integer: true,
+    },
+  };
+
+  // "1200:310, 600:190" => [[1200, 310], [600, 190]]
+  // A window applies to videos longer than its length, when fewer seconds than given are left
+  function parseRefreshWindows(value) {
+    if (Array.isArray(value)) value = formatRefreshWindows(value);
+    const windows = [];
+    for (const part of String(value).split(",")) {
+      if (part.trim() === "") continue;
+      const match = part.trim().match(/^(\d+)\s*:\s*(\d+)$/);
+      if (!match) throw new Error(`"${part.trim()}" is not in the form of length:seconds`);
+      windows.push([parseInt(match[1]), parseInt(match[2])]);
     }
-    localStorage.setItem("tm_yt_api_key", API_KEY);
+    return windows.sort((a, b) => b[0] - a[0]);
   }
 
-  function revokeAPIKey() {
-    localStorage.removeItem("tm_yt_api_key");
+  function formatRefreshWindows(windows) {
+    return windows.map(([length, left]) => `${length}:${left}`).join(", ");
   }
 
-  class Mutex {
-    constructor() {
-      this._queue = [];
-      this._isLocked = false;
+  /**
+   * Converts a value entered by the user or read from the storage to the type of the setting.
+   * @param {string} name - Key of SETTING_DEFINITIONS.
+   * @param {any} value
+   * @returns {any} - The converted value.
+   * @throws {Error} - When the value is invalid, with a message that can be shown to the user.
+   */
+  function validateSetting(name, value) {
+    const def = SETTING_DEFINITIONS[name];
+    if (def.parse) return def.parse(value);
+    if (def.type === "boolean") {
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      throw new Error("Must be on or off");
+    }
+
+    const num = typeof value === "number" ? value : Number(String(value).trim());
+    if (String(value).trim() === "" || !Number.isFinite(num)) {
+      throw new Error("Must be a number");
+    }
+    if (def.integer && !Number.isInteger(num)) {
+      throw new Error("Must be a whole number");
+    }
+    if (num < def.min || num > def.max) {
+      throw new Error(`Must be between ${def.min} and ${def.max}`);
+    }
+    return num;
+  }
+
+  function formatSetting(name, value) {
+    const def = SETTING_DEFINITIONS[name];
+    if (def.type === "boolean") return value ? "on" : "off";
+    return def.format ? def.format(value) : String(value);
+  }
+
+  let settingsMemo = null;
+  // Stored values that are no longer valid fall back to the defaults
+  function getSettings() {
+    if (settingsMemo) return settingsMemo;
+
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    } catch (e) {
+      logError(`Malformed settings e: ${e}`);
     }
 
-    async lock() {
-      const ticket = new Promise(resolve => this._queue.push(resolve));
-      if (!this._isLocked) {
-        this._dispatchNext();
+    const settings = {};
+    for (const name in SETTING_DEFINITIONS) {
+      settings[name] = SETTING_DEFINITIONS[name].default;
+      if (!(name in stored)) continue;
+      try {
+        settings[name] = validateSetting(name, stored[name]);
+      } catch (e) {
+        logError(`Ignoring invalid setting ${name} e: ${e.message}`);
       }
-      await ticket;
     }
+    settingsMemo = settings;
+    return settings;
+  }
 
-    unlock() {
-      if (!this._isLocked) {
-        throw new Error("Cannot unlock an unlocked mutex.");
+  function getSetting(name) {
+    return getSettings()[name];
+  }
+
+  const settingsListeners = [];
+  // Listeners are called when the settings change in this tab or another, returns a function that removes the listener
+  function onSettingsChanged(listener) {
+    settingsListeners.push(listener);
+    return () => {
+      const idx = settingsListeners.indexOf(listener);
+      if (idx !== -1) settingsListeners.splice(idx, 1);
+    };
+  }
+
+  function notifySettingsListeners() {
+    settingsMemo = null;
+    settingsListeners.slice().forEach(listener => listener());
+  }
+
+  /**
+   * Validates and saves settings, the ones left out keep their current value.
+   * Nothing is saved if any value is invalid. Only values that differ from the defaults are stored
+   * so that a later change of a default applies to the settings the user never touched.
+   *
+   * @param {Object} values - Setting name => value, as entered by the user.
+   * @returns {Object} - Setting name => error message of the invalid values, empty when saved.
+   */
+  function saveSettings(values) {
+    const settings = { ...getSettings() };
+    const errors = {};
+    for (const name in values) {
+      try {
+        settings[name] = validateSetting(name, values[name]);
+      } catch (e) {
+        errors[name] = e.message;
       }
-      this._dispatchNext();
     }
+    if (Object.keys(errors).length > 0) return errors;
 
-    _dispatchNext() {
-      if (this._queue.length > 0) {
-        this._isLocked = true;
-        const nextResolve = this._queue.shift();
-        nextResolve(); // Resume the next waiting task
-      } else {
-        this._isLocked = false;
+    const stored = {};
+    for (const name in SETTING_DEFINITIONS) {
+      if (JSON.stringify(settings[name]) !== JSON.stringify(SETTING_DEFINITIONS[name].default)) {
+        stored[name] = settings[name];
       }
     }
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(stored));
+    notifySettingsListeners();
+    return errors;
+  }
+
+  function resetSettings() {
+    localStorage.removeItem(SETTINGS_KEY);
+    notifySettingsListeners();
   }
-  const apiMu = new Mutex();
-  async function apiFetch(url, options = {}) {
-    apiMu.lock();
+
+  window.addEventListener('storage', (e) => {
+    if (e.key === SETTINGS_KEY) notifySettingsListeners();
+  });
+
+  // --------- API KEYS ----------
+  const API_KEYS_KEY = 'tm_yt_api_keys';
+
+  /**
+   * Returns the registered API keys in the order they are tried.
+   * @returns {{key: string, label: string, invalid?: boolean, lastError?: string, lastErrorAt?: number}[]}
+   */
+  function getAPIKeys() {
     try {
-      return await fetch(url, options);
-    } finally {
-      apiMu.unlock();
+      return JSON.parse(localStorage.getItem(API_KEYS_KEY) || "[]");
+    } catch (e) {
+      logError(`Malformed API keys e: ${e}`);
+      return [];
+    }
+  }
+
+  function saveAPIKeys(keys) {
+    localStorage.setItem(API_KEYS_KEY, JSON.stringify(keys));
+    notifyQuotaListeners();
+  }
+
+  function addAPIKey(key, label) {
+    const keys = getAPIKeys();
+    if (keys.some(a => a.key === key)) return false;
+    keys.push({ key, label });
+    saveAPIKeys(keys);
+    return true;
+  }
+
+  function removeAPIKey(key) {
+    saveAPIKeys(getAPIKeys().filter(a => a.key !== key));
+  }
+
+  function updateAPIKey(key, fields) {
+    const keys = getAPIKeys();
+    const entry = keys.find(a => a.key === key);
+    if (!entry) return;
+    Object.assign(entry, fields);
+    saveAPIKeys(keys);
+  }
+
+  function maskAPIKey(key) {
+    return key.length > 12 ? `${key.slice(0, 6)}…${key.slice(-4)}` : key;
+  }
+
+  // The single key of the previous versions becomes the first entry of the list
+  function migrateLegacyAPIKey() {
+    const legacy = localStorage.getItem("tm_yt_api_key");
+    if (!legacy) return;
+    addAPIKey(legacy, "Default");
+    localStorage.removeItem("tm_yt_api_key");
+  }
+
+  // Replaced by the top bar to open the key panel when a request needs a key but none is registered
+  let requestAPIKey = () => {
+    logError("No API key\nhttps://developers.google.com/youtube/v3", { showAlert: true });
+  };
+
+  // --------- REQUEST SCHEDULER ----------
+  const PRIORITY_INTERACTIVE = 0; // The user is waiting for the result, e.g. validating an entered URL
+  const PRIORITY_NORMAL = 1;
+  const PRIORITY_BACKGROUND = 2; // e.g. refreshing caches of a master playlist
+
+  /**
+   * Runs async tasks with limited concurrency and rate, in the order of priority (lower first)
+   * and then of arrival. Tasks can be cancelled by an AbortSignal while queued or running.
+   */
+  class RequestScheduler {
+    constructor({ concurrency = 4, requestsPerSecond = 10 } = {}) {
+      this.concurrency = concurrency;
+      this.requestsPerSecond = requestsPerSecond;
+      this._queue = [];
+      this._running = 0;
+      this._startTimes = []; // Start times of the tasks within the last second
+      this._timer = null;
+    }
+
+    /**
+     * @param {Function} task - Async function that receives the AbortSignal.
+     * @param {Object} options
+     * @param {number} options.priority - One of PRIORITY_*.
+     * @param {AbortSignal} [options.signal] - Rejects the returned promise when aborted.
+     * @returns {Promise<any>} - Resolves to the result of the task.
+     */
+    schedule(task, { priority = PRIORITY_NORMAL, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        const entry = { task, priority, signal, resolve, reject };
+        entry.onAbort = () => {
+          const idx = this._queue.indexOf(entry);
+          if (idx !== -1) {
+            this._queue.splice(idx, 1);
+            reject(signal.reason);
+          }
+        };
+        signal?.addEventListener("abort", entry.onAbort, { once: true });
+
+        // Insert after the entries of the same or higher priority
+        let idx = this._queue.findIndex(a => a.priority > priority);
+        if (idx === -1) idx = this._queue.length;
+        this._queue.splice(idx, 0, entry);
+        this._dispatch();
+      });
+    }
+
+    // Applies to the tasks that have not started yet
+    configure({ concurrency = this.concurrency, requestsPerSecond = this.requestsPerSecond }) {
+      this.concurrency = concurrency;
+      this.requestsPerSecond = requestsPerSecond;
+      this._dispatch();
+    }
+
+    _dispatch() {
+      clearTimeout(this._timer);
+      this._timer = null;
+
+      while (this._queue.length > 0 && this._running < this.concurrency) {
+        const now = Date.now();
+        this._startTimes = this._startTimes.filter(t => now - t < 1000);
+        if (this._startTimes.length >= this.requestsPerSecond) {
+          this._timer = setTimeout(() => this._dispatch(), 1000 - (now - this._startTimes[0]));
+          return;
+        }
+
+        const entry = this._queue.shift();
+        entry.signal?.removeEventListener("abort", entry.onAbort);
+        this._startTimes.push(now);
+        this._running++;
+        (async () => {
+          try {
+            entry.resolve(await entry.task(entry.signal));
+          } catch (e) {
+            entry.reject(e);
+          } finally {
+            this._running--;
+            this._dispatch();
+          }
+        })();
+      }
     }
   }
 
-  async function processAPIResponse(response) {
+  const apiScheduler = new RequestScheduler({
+    concurrency: getSetting('apiConcurrency'),
+    requestsPerSecond: getSetting('apiRequestsPerSecond'),
+  });
+  onSettingsChanged(() => apiScheduler.configure({
+    concurrency: getSetting('apiConcurrency'),
+    requestsPerSecond: getSetting('apiRequestsPerSecond'),
+  }));
+  function apiFetch(url, { priority, signal } = {}) {
+    return apiScheduler.schedule(signal => fetch(url, { signal }), { priority, signal });
+  }
+
+  async function processAPIResponse(response, apiKey) {
 
     const obj = await response.json();
     if (response.ok) return obj;
@@ -84,15 +443,200 @@
     if (!error) logError("No connection to youtube API", { showAlert: true, throwError: true });
 
     // Check errors
-    if (error.details?.some(a => a.reason === "API_KEY_INVALID")) {
-      revokeAPIKey();
-      logError("API Error: Inavlid API key", { showAlert: true, throwError: true });
+    const reasons = (error.errors || []).map(a => a.reason);
+    const detailReasons = (error.details || []).map(a => a.reason).filter(Boolean);
+    if (detailReasons.some(a => a.startsWith("API_KEY_") || a === "SERVICE_DISABLED") ||
+      reasons.some(a => KEY_ERROR_REASONS.includes(a))) {
+      updateAPIKey(apiKey, { invalid: true });
+      throw new InvalidAPIKeyError(logError(`API Error: ${error.message} (${maskAPIKey(apiKey)})`));
+    }
+    // Forbidden for this key only, e.g. by a restriction whose reason is not given, other keys may work
+    if (response.status === 403 && reasons.includes("forbidden")) {
+      throw new KeyRejectedError(logError(`API Error: ${error.message} (${maskAPIKey(apiKey)})`));
+    }
+
+    if (reasons.some(a => QUOTA_ERROR_REASONS.includes(a))) {
+      markQuotaExhausted(apiKey);
+      throw new QuotaExceededError(logError(`API Error: ${error.message} (${maskAPIKey(apiKey)})`));
+    }
+    if (response.status === 429 || response.status >= 500 || reasons.some(a => RATE_LIMIT_ERROR_REASONS.includes(a))) {
+      throw new RetryableAPIError(logError(`API Error: ${error.message}`));
     }
 
     logError(`API Error: ${error.message}`, { showAlert: true, throwError: true });
 
   }
 
+  // --------- API QUOTA ----------
+  // https://developers.google.com/youtube/v3/determine_quota_cost
+  const API_COSTS = {
+    playlistItems: 1,
+    playlists: 1,
+    videos: 1,
+    channels: 1,
+    i18nLanguages: 1,
+  };
+  const QUOTA_USAGE_KEY = 'tm_quota_usage';
+  const QUOTA_ERROR_REASONS = ["quotaExceeded", "dailyLimitExceeded"];
+  const RATE_LIMIT_ERROR_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+  // Reasons that only concern the key, e.g. its project does not have the API enabled
+  const KEY_ERROR_REASONS = ["keyInvalid", "keyExpired", "accessNotConfigured", "ipRefererBlocked"];
+  const API_MAX_RETRIES = 3;
+  const API_BACKOFF_BASE = 1000; // 1s, 2s, 4s, ... between retries
+
+  class QuotaExceededError extends Error {}
+  class InvalidAPIKeyError extends Error {}
+  class NoAPIKeyError extends Error {}
+  class RetryableAPIError extends Error {}
+  class KeyRejectedError extends Error {}
+
+  // The quota resets at midnight Pacific Time, so usage is bucketed by the Pacific date (YYYY-MM-DD)
+  function getPacificDay(time = Date.now()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(time);
+  }
+
+  /**
+   * Returns the quota usage of today per API key, shared by every tab through localStorage.
+   * @returns {{day: string, keys: Object<string, {used: number, exhausted: boolean}>}}
+   */
+  function getQuotaUsage() {
+    const day = getPacificDay();
+    try {
+      const usage = JSON.parse(localStorage.getItem(QUOTA_USAGE_KEY) || "null");
+      if (usage?.day === day && usage.keys) return usage;
+    } catch (e) {
+      logError(`Malformed quota usage e: ${e}`);
+    }
+    return { day, keys: {} };
+  }
+
+  function getKeyQuotaUsage(apiKey) {
+    return getQuotaUsage().keys[apiKey] || { used: 0, exhausted: false };
+  }
+
+  const quotaListeners = [];
+  // Listeners are called when the usage or the key list changes, returns a function that removes the listener
+  function onQuotaChanged(listener) {
+    quotaListeners.push(listener);
+    return () => {
+      const idx = quotaListeners.indexOf(listener);
+      if (idx !== -1) quotaListeners.splice(idx, 1);
+    };
+  }
+
+  function notifyQuotaListeners() {
+    quotaListeners.slice().forEach(listener => listener());
+  }
+  // The remaining quota depends on the daily quota setting
+  onSettingsChanged(notifyQuotaListeners);
+
+  function updateKeyQuotaUsage(apiKey, fn) {
+    const usage = getQuotaUsage();
+    usage.keys[apiKey] = fn(usage.keys[apiKey] || { used: 0, exhausted: false });
+    localStorage.setItem(QUOTA_USAGE_KEY, JSON.stringify(usage));
+    notifyQuotaListeners();
+  }
+
+  function recordQuotaCost(apiKey, cost) {
+    updateKeyQuotaUsage(apiKey, a => ({ ...a, used: a.used + cost }));
+  }
+
+  function markQuotaExhausted(apiKey) {
+    updateKeyQuotaUsage(apiKey, a => ({ ...a, exhausted: true }));
+  }
+
+  function getRemainingKeyQuota(apiKey) {
+    const usage = getKeyQuotaUsage(apiKey);
+    return usage.exhausted ? 0 : Math.max(0, getSetting('dailyQuota') - usage.used);
+  }
+
+  // Sum of the remaining quota of the keys that are not invalid
+  function getRemainingQuota() {
+    return getAPIKeys()
+      .filter(a => !a.invalid)
+      .reduce((sum, a) => sum + getRemainingKeyQuota(a.key), 0);
+  }
+
+  function getQuotaBudget() {
+    return getAPIKeys().filter(a => !a.invalid).length * getSetting('dailyQuota');
+  }
+
+  // The first key in the list that is valid and has enough quota left
+  function pickAPIKey(cost, exclude = new Set()) {
+    return getAPIKeys().find(a => !a.invalid && !exclude.has(a.key) && getRemainingKeyQuota(a.key) >= cost)?.key ?? null;
+  }
+
+  function isQuotaExhausted() {
+    return pickAPIKey(1) === null;
+  }
+
+  /**
+   * Calls a list endpoint of the YouTube Data API while keeping track of the quota.
+   * Calls are refused without reaching the API once every key has used up its daily budget.
+   * When a key runs out of quota, turns out invalid or is refused, the call moves on to the next key,
+   * and rate limit or server errors are retried with exponential backoff.
+   *
+   * @param {string} endpoint - The endpoint name, e.g. "playlistItems".
+   * @param {Object} params - Query parameters except for the API key.
+   * @param {Object} options - { priority, signal } passed to the request scheduler,
+   *   and apiKey to use only that key regardless of its remaining quota.
+   * @returns {Promise<Object>} - The parsed response body.
+   */
+  async function apiRequest(endpoint, params, { apiKey: fixedKey, ...options } = {}) {
+    const cost = API_COSTS[endpoint];
+    if (cost === undefined) throw new Error(`Unknown API endpoint: ${endpoint}`);
+
+    const rejected = new Set(); // Keys that this call was refused with
+    let lastRejection = null;
+    for (let attempt = 0; ;) {
+      const apiKey = fixedKey ?? pickAPIKey(cost, rejected);
+      if (!apiKey) {
+        if (getAPIKeys().length === 0) {
+          requestAPIKey();
+          throw new NoAPIKeyError("No API key is registered");
+        }
+        if (lastRejection) throw lastRejection;
+        throw new QuotaExceededError(`Every API key has used up its quota or is invalid (${endpoint})`);
+      }
+
+      const url = new URL(`${API_BASE}/${endpoint}`);
+      for (const key in params) {
+        url.searchParams.set(key, params[key]);
+      }
+      url.searchParams.set('key', apiKey);
+
+      // Quota is charged for every request that reaches the API, even failed ones
+      recordQuotaCost(apiKey, cost);
+      const response = await apiFetch(url.toString(), options);
+      try {
+        return await processAPIResponse(response, apiKey);
+      } catch (e) {
+        updateAPIKey(apiKey, { lastError: e.message, lastErrorAt: Date.now() });
+
+        if (!fixedKey && (e instanceof QuotaExceededError || e instanceof InvalidAPIKeyError)) {
+          // Alert only once, when the last usable key fails, every later call is refused above
+          if (isQuotaExhausted()) {
+            logError("Every API key has used up its quota or is invalid", { showAlert: true });
+          }
+          continue;
+        }
+        if (!fixedKey && e instanceof KeyRejectedError) {
+          rejected.add(apiKey);
+          lastRejection = e;
+          continue;
+        }
+
+        if (!(e instanceof RetryableAPIError) || attempt >= API_MAX_RETRIES) throw e;
+        const delay = API_BACKOFF_BASE * 2 ** attempt;
+        attempt++;
+        await sleep(delay + Math.random() * delay);
+        options.signal?.throwIfAborted();
+      }
+    }
+  }
+
+  migrateLegacyAPIKey();
+
   const deprecatedSpan = document.createElement("span");
   deprecatedSpan.title = "This script is deprecated!";
   deprecatedSpan.textContent = "⚠️";
@@ -105,23 +649,32 @@
   function compressData(data) {
     const json = JSON.stringify(data);
     const compressed = pako.gzip(json, { level: 9 });
+    return bytesToBase64(compressed);
+  }
+
+  function decompressData(base64) {
+    const bytes = base64ToBytes(base64);
+    const decompressed = pako.ungzip(bytes, { to: 'string' });
+    return JSON.parse(decompressed);
+  }
+
+  function bytesToBase64(bytes) {
     let binary = '';
-    const len = compressed.byteLength;
+    const len = bytes.byteLength;
     for (let i = 0; i < len; i++) {
-      binary += String.fromCharCode(compressed[i]);
+      binary += String.fromCharCode(bytes[i]);
     }
     return btoa(binary);
   }
 
-  function decompressData(base64) {
+  function base64ToBytes(base64) {
     const binary = atob(base64);
     const len = binary.length;
     const bytes = new Uint8Array(len);
     for (let i = 0; i < len; i++) {
       bytes[i] = binary.charCodeAt(i);
     }
-    const decompressed = pako.ungzip(bytes, { to: 'string' });
-    return JSON.parse(decompressed);
+    return bytes;
   }
 
   function isBase64(str) {
@@ -201,6 +754,10 @@
     return msg;
   }
 
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   function debounce(func, delay) {
     let timeout;
 
@@ -389,6 +946,47 @@
     return short;
   }
 
+  // Escapes a free text so that it can be a TSV field
+  function escapeTSV(str) {
+    return str.replace(/[\\\t\n\r]/g, c => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[c]);
+  }
+
+  function unescapeTSV(str) {
+    return str.replace(/\\[\\tnr]/g, s => ({ '\\\\': '\\', '\\t': '\t', '\\n': '\n', '\\r': '\r' })[s]);
+  }
+
+  /**
+   * Converts an ISO-8601 duration of the YouTube API (e.g. "PT1H2M3S", "P1DT2S") to seconds.
+   * @param {string} iso - ISO-8601 duration.
+   * @returns {number} - Seconds, 0 if the duration is missing or malformed.
+   */
+  function parseISODuration(iso) {
+    const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(iso || "");
+    if (!m) return 0;
+    const [, d = 0, h = 0, min = 0, sec = 0] = m.map(a => a === undefined ? undefined : Number(a));
+    return ((d * 24 + h) * 60 + min) * 60 + sec;
+  }
+
+  // Largest thumbnail of a video as a single character key
+  // https://developers.google.com/youtube/v3/docs/thumbnails
+  const THUMBNAIL_KEYS = [
+    { key: 'x', api: 'maxres', file: 'maxresdefault' },
+    { key: 's', api: 'standard', file: 'sddefault' },
+    { key: 'h', api: 'high', file: 'hqdefault' },
+    { key: 'm', api: 'medium', file: 'mqdefault' },
+    { key: 'd', api: 'default', file: 'default' },
+  ];
+
+  function getThumbnailKey(thumbnails) {
+    return THUMBNAIL_KEYS.find(a => thumbnails?.[a.api])?.key ?? 'd';
+  }
+
+  // mqdefault (320x180) exists for every video, so it is the default size to show
+  function getThumbnailUrl(videoId, key = 'm') {
+    const file = THUMBNAIL_KEYS.find(a => a.key === key)?.file ?? 'mqdefault';
+    return `https://i.ytimg.com/vi/${videoId}/${file}.jpg`;
+  }
+
   // --------- TRAP _yt_player ---------
   let changeAppVideo = null;
   const TrapYTPlayer = (value) => {
@@ -446,156 +1044,604 @@
     value: TrapYTPlayer(window._yt_player || {}),
   });
 
-  // --------- MASTER PLAYLIST STORAGE ----------
-  function getMasterPlaylists() {
-    const data = localStorage.getItem(MASTER_PLAYLIST_KEY);
-    return data ? JSON.parse(data) : {};
-  }
-
-  function saveMasterPlaylists(playlists) {
-    localStorage.setItem(MASTER_PLAYLIST_KEY, JSON.stringify(playlists));
-  }
-
-  // --------- CACHE FUNCTIONS FOR SUB–PLAYLISTS ----------
+  // --------- STORAGE BACKENDS ----------
   /**
-   * Generic helper to retrieve cached data from localStorage.
-   * It expects the stored value to have a compressedData and timestamp.
-   * If the decompressed array length is greater than 1000, it uses largeExpiry.
-   *
-   * @param {string} key - The localStorage key.
-   * @returns {any|null} - The decompressed cached data or null if expired/missing.
+   * Every backend exposes the same async key-value interface:
+   *   get(key) -> value or null, set(key, value), remove(key), keys(prefix) -> string[]
+   * Values are plain objects; each backend takes care of serializing them.
    */
-  function getCachedData(key) {
-    const data = localStorage.getItem(key);
-    if (data) {
-      try {
-        const obj = JSON.parse(data);
-        const cachedData = decompressData(obj.compressedData);
-        return [cachedData, obj.timestamp];
-      } catch (e) {
-        logError(`Error decompressing cache for key: ${key} e: ${e}`);
-      }
+  class LocalStorageBackend {
+    constructor() {
+      this.name = "localStorage";
+      this.supportsBinary = false;
     }
-    return [null, null];
-  }
 
-  /**
-   * Generic helper to save data to localStorage with compression.
-   *
-   * @param {string} key - The localStorage key.
-   * @param {any} dataToCache - The data to compress and store.
-   */
-  function saveCachedData(key, dataToCache) {
-    const compressedData = compressData(dataToCache);
-    // Spread out cache modified time to avoid simultaneous cache update -10 to +10 minutes
-    const salt = Math.floor(20 * 60 * 1000 * Math.random() - 10 * 60 * 1000);
-    const obj = { compressedData, timestamp: Date.now() + salt };
-    localStorage.setItem(key, JSON.stringify(obj));
-  }
+    async get(key) {
+      const data = localStorage.getItem(key);
+      return data === null ? null : JSON.parse(data);
+    }
 
-  // Now, we can implement the original functions using the helpers:
-  const beingCachedKeyMap = {};
-  async function getCachedVideoInfos(id, type) {
-    let cacheKey, fetcher, saver;
-    if (type === "playlist") {
-      cacheKey = 'tm_sub_playlist_' + id;
-      fetcher = fetchSubPlaylistVideoInfos;
-      saver = saveCachedSubPlaylist;
-    } else if (type === "channel") {
-      cacheKey = 'tm_sub_playlist_channel_' + id;
-      fetcher = fetchChannelVideoInfos;
-      saver = saveCachedChannelPlaylist;
-    } else {
-      throw new Error("Unexpected behavior");
+    async set(key, value) {
+      localStorage.setItem(key, JSON.stringify(value));
     }
 
-    const [cachedMini, timestamp] = getCachedData(cacheKey);
-    const cached = cachedMini ? unminifyVideoInfos(cachedMini) : null;
-    let stale = null;
+    async remove(key) {
+      localStorage.removeItem(key);
+    }
 
-    if (!cached) {
+    async keys(prefix = "") {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(prefix)) keys.push(key);
+      }
+      return keys;
+    }
+  }
 
-      // Null means no data at all
-      for (let i = 0; i < 5; i++) {
-        const videoInfos = await fetcher(id);
-        if (!videoInfos) continue;
+  class IndexedDBBackend {
+    constructor(dbName = "tm_playlist_navbar", storeName = "kv") {
+      this.name = "IndexedDB";
+      this.supportsBinary = true; // ArrayBuffers are stored as they are
+      this._dbName = dbName;
+      this._storeName = storeName;
+      this._db = null;
+    }
 
-        saver(id, videoInfos);
-        return videoInfos;
-      }
-      logError(`Failed to fetch video ids for ${id} after 5 attempts`, { throwError: true });
+    open() {
+      return new Promise((resolve, reject) => {
+        const req = indexedDB.open(this._dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(this._storeName);
+        req.onsuccess = () => {
+          this._db = req.result;
+          resolve(this);
+        };
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error("IndexedDB open is blocked"));
+      });
+    }
 
-    } else {
-      
-      // Check if the cache is stale
-      let effectiveExpiry = CACHE_EXPIRY;
-      if (cached.length > LARGE_SIZE) {
-        effectiveExpiry = CACHE_LARGE_EXPIRY;
-      }
-      stale = Date.now() - timestamp > effectiveExpiry;
+    // Runs a single request in its own transaction and resolves once the transaction completes
+    _request(mode, fn) {
+      return new Promise((resolve, reject) => {
+        const tx = this._db.transaction(this._storeName, mode);
+        const req = fn(tx.objectStore(this._storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
 
+    async get(key) {
+      const value = await this._request("readonly", store => store.get(key));
+      return value === undefined ? null : value;
     }
 
-    // If cache is stale
-    if (stale === true) {
-      (async () => {
-        // This lock mechanism assumes there is only one tab actively running this script
-        if (beingCachedKeyMap[cacheKey]) return;
-        beingCachedKeyMap[cacheKey] = true;
+    async set(key, value) {
+      await this._request("readwrite", store => store.put(value, key));
+    }
 
-        let success = false;
-        for (let i = 0; i < 5; i++) {
-          const videoInfos = await fetcher(id);
-          if (!videoInfos) continue;
+    async remove(key) {
+      await this._request("readwrite", store => store.delete(key));
+    }
 
-          saver(id, videoInfos);
-          success = true;
-          break;
-        }
-        if (!success) {
-          logError(`Failed to update video ids for ${id} after 5 attempts`);
+    async keys(prefix = "") {
+      const keys = await this._request("readonly", store => store.getAllKeys());
+      return keys.filter(key => typeof key === "string" && key.startsWith(prefix));
+    }
+  }
+
+  // Keys that used to live in localStorage and are moved to IndexedDB on first run
+  const SUB_PLAYLIST_KEY_PREFIX = 'tm_sub_playlist_'; // also covers tm_sub_playlist_channel_*
+  async function migrateFromLocalStorage(backend) {
+    const legacy = new LocalStorageBackend();
+    const keys = await legacy.keys(SUB_PLAYLIST_KEY_PREFIX);
+    if (localStorage.getItem(MASTER_PLAYLIST_KEY) !== null) keys.push(MASTER_PLAYLIST_KEY);
+
+    for (const key of keys) {
+      try {
+        await backend.set(key, await legacy.get(key));
+        await legacy.remove(key);
+      } catch (e) {
+        logError(`Failed to migrate ${key} to ${backend.name} e: ${e}`);
+      }
+    }
+    if (keys.length > 0) {
+      console.warn(`Migrated ${keys.length} keys from localStorage to ${backend.name}`);
+    }
+  }
+
+  // localStorage stays as the fallback when IndexedDB is unavailable (e.g. some private modes)
+  let storage = new LocalStorageBackend();
+  let masterPlaylistsData = "{}"; // In-memory mirror so that master playlists can be read synchronously
+  const storageReady = (async () => {
+    try {
+      if (!window.indexedDB) throw new Error("IndexedDB is not supported");
+      const backend = await new IndexedDBBackend().open();
+      await migrateFromLocalStorage(backend);
+      storage = backend;
+    } catch (e) {
+      logError(`Falling back to localStorage e: ${e}`);
+    }
+
+    try {
+      masterPlaylistsData = JSON.stringify(await storage.get(MASTER_PLAYLIST_KEY) || {});
+    } catch (e) {
+      logError(`Failed to load master playlists e: ${e}`, { showAlert: true });
+    }
+  })();
+
+  // --------- CROSS-TAB COORDINATION ----------
+  const TAB_ID = Math.random().toString(36).slice(2);
+  const STORAGE_SIGNAL_KEY = 'tm_storage_signal';
+  const LOCK_LEASE = 5 * 60 * 1000; // Lease of the localStorage fallback lock in case the holding tab is closed
+  const storageChangeListeners = [];
+  const cacheMemo = new Map(); // storage key => [data, timestamp, fullScanAt]
+
+  function onStorageChanged(listener) {
+    storageChangeListeners.push(listener);
+  }
+
+  // Tells the other tabs that a key has changed in the storage backend.
+  // The signal goes through localStorage whichever backend is used, since IndexedDB has no change events.
+  function notifyStorageChanged(key) {
+    try {
+      localStorage.setItem(STORAGE_SIGNAL_KEY, JSON.stringify({ key, tab: TAB_ID, at: Date.now() }));
+    } catch (e) {
+      logError(`Failed to notify other tabs of ${key} e: ${e}`);
+    }
+  }
+
+  window.addEventListener('storage', async (e) => {
+    if (e.key !== STORAGE_SIGNAL_KEY || !e.newValue) return;
+
+    let signal;
+    try {
+      signal = JSON.parse(e.newValue);
+    } catch {
+      return;
+    }
+    if (signal.tab === TAB_ID) return;
+
+    await storageReady;
+    if (signal.key === MASTER_PLAYLIST_KEY) {
+      // While this tab is saving, the mirror is updated when the save is done, with the other tab's changes
+      if (masterPlaylistsPendingSaves === 0) {
+        masterPlaylistsData = JSON.stringify(await storage.get(MASTER_PLAYLIST_KEY) || {});
+      }
+    } else {
+      // Next read loads the data that the other tab has saved
+      cacheMemo.delete(signal.key);
+    }
+    storageChangeListeners.forEach(listener => listener(signal.key));
+  });
+
+  /**
+   * Runs fn while holding a lock that is shared by every tab of this origin.
+   * If the lock is already held, by another tab or by this one, fn is not run at all.
+   *
+   * @param {string} name - The lock name.
+   * @param {Function} fn - Async function to run while holding the lock.
+   * @returns {Promise<boolean>} - Whether fn was run.
+   */
+  async function tryWithCrossTabLock(name, fn) {
+    if (navigator.locks) {
+      return await navigator.locks.request(name, { ifAvailable: true }, async (lock) => {
+        if (!lock) return false;
+        await fn();
+        return true;
+      });
+    }
+
+    // Fallback for browsers without Web Locks, which is best effort as the check and set are not atomic
+    const leaseKey = 'tm_lock_' + name;
+    const lease = JSON.parse(localStorage.getItem(leaseKey) || "null");
+    if (lease && lease.expires > Date.now()) return false;
+    localStorage.setItem(leaseKey, JSON.stringify({ tab: TAB_ID, expires: Date.now() + LOCK_LEASE }));
+    try {
+      await fn();
+      return true;
+    } finally {
+      localStorage.removeItem(leaseKey);
+    }
+  }
+
+  const tabLocks = new Map(); // Lock name => last call of withCrossTabLock in this tab, without Web Locks
+
+  /**
+   * Runs fn while holding a lock that is shared by every tab of this origin, waiting for it if it is held.
+   * Without Web Locks fn only waits for the calls of this tab.
+   *
+   * @param {string} name - The lock name.
+   * @param {Function} fn - Async function to run while holding the lock.
+   * @returns {Promise<*>} - What fn returns.
+   */
+  async function withCrossTabLock(name, fn) {
+    if (navigator.locks) {
+      return await navigator.locks.request(name, async () => await fn());
+    }
+
+    const run = (tabLocks.get(name) ?? Promise.resolve()).catch(() => {}).then(fn);
+    tabLocks.set(name, run);
+    try {
+      return await run;
+    } finally {
+      if (tabLocks.get(name) === run) tabLocks.delete(name);
+    }
+  }
+
+  // --------- MASTER PLAYLIST STORAGE ----------
+  // Copy returned by getMasterPlaylists => JSON of each master as it was read, so that saving a copy
+  // writes only what has been changed in it and keeps what the other tabs have saved in the meantime
+  const masterPlaylistsBases = new WeakMap();
+  let masterPlaylistsSaving = Promise.resolve();
+  let masterPlaylistsPendingSaves = 0;
+
+  function getMasterPlaylists() {
+    const playlists = JSON.parse(masterPlaylistsData);
+    masterPlaylistsBases.set(playlists, jsonByMaster(playlists));
+    return playlists;
+  }
+
+  function jsonByMaster(playlists) {
+    return Object.fromEntries(Object.entries(playlists).map(([id, master]) => [id, JSON.stringify(master)]));
+  }
+
+  /**
+   * Applies the changes of a master playlists copy onto another master playlists object.
+   * A master that is in both the base and the target gets only the fields that have changed.
+   *
+   * @param {Object} target - Master id => master playlist, modified in place.
+   * @param {Object} playlists - The changed copy.
+   * @param {Object} base - Master id => JSON of the master as the copy was read.
+   * @returns {Object} - target
+   */
+  function mergeMasterPlaylists(target, playlists, base) {
+    for (const id in base) {
+      if (!(id in playlists)) delete target[id];
+    }
+    for (const id in playlists) {
+      if (JSON.stringify(playlists[id]) === base[id]) continue;
+      if (!(id in base) || !target[id]) {
+        target[id] = playlists[id];
+        continue;
+      }
+      const before = JSON.parse(base[id]);
+      const merged = target[id];
+      for (const field of new Set([...Object.keys(before), ...Object.keys(playlists[id])])) {
+        if (JSON.stringify(playlists[id][field]) === JSON.stringify(before[field])) continue;
+        if (field in playlists[id]) {
+          merged[field] = playlists[id][field];
+        } else {
+          delete merged[field];
+        }
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Saves a copy of the master playlists returned by getMasterPlaylists.
+   * Only the masters and fields that have been changed in the copy are written, onto what is in the
+   * storage at the time, so a stale copy does not overwrite the other tabs' changes.
+   *
+   * @param {Object} playlists - Master id => master playlist.
+   * @returns {Promise<void>} - Resolves when it has been written.
+   */
+  function saveMasterPlaylists(playlists) {
+    // Copies that were not read with getMasterPlaylists are diffed against what this tab has now
+    const base = masterPlaylistsBases.get(playlists) ?? jsonByMaster(JSON.parse(masterPlaylistsData));
+    const changes = JSON.parse(JSON.stringify(playlists));
+    masterPlaylistsBases.set(playlists, jsonByMaster(playlists));
+    masterPlaylistsData = JSON.stringify(mergeMasterPlaylists(JSON.parse(masterPlaylistsData), changes, base));
+
+    masterPlaylistsPendingSaves++;
+    masterPlaylistsSaving = masterPlaylistsSaving.then(() => withCrossTabLock(MASTER_PLAYLIST_KEY, async () => {
+      const saved = mergeMasterPlaylists(await storage.get(MASTER_PLAYLIST_KEY) || {}, changes, base);
+      await storage.set(MASTER_PLAYLIST_KEY, saved);
+      notifyStorageChanged(MASTER_PLAYLIST_KEY);
+      // Later saves of this tab have already been applied to the mirror
+      if (masterPlaylistsPendingSaves === 1 && JSON.stringify(saved) !== masterPlaylistsData) {
+        // Has the other tabs' changes
+        masterPlaylistsData = JSON.stringify(saved);
+        storageChangeListeners.forEach(listener => listener(MASTER_PLAYLIST_KEY));
+      }
+    })).catch(e => {
+      logError(`Failed to save master playlists e: ${e}`, { showAlert: true });
+    }).finally(() => {
+      masterPlaylistsPendingSaves--;
+    });
+    return masterPlaylistsSaving;
+  }
+
+  // --------- CACHE FUNCTIONS FOR SUB–PLAYLISTS ----------
+  /**
+   * Generic helper to retrieve cached data from the storage backend.
+   * It expects the stored value to have a timestamp, optionally fullScanAt and either of
+   * - compressedData: gzipped JSON in base64
+   * - binaryData: gzipped bytes as an ArrayBuffer, for backends that support binary
+   * - compressedData with binary set: gzipped bytes in base64, for backends that do not
+   * Binary data is returned as a Uint8Array.
+   *
+   * @param {string} key - The storage key.
+   * @returns {Promise<Array>} - [data, timestamp, fullScanAt] or [null, null, null] if missing.
+   */
+  async function getCachedData(key) {
+    if (cacheMemo.has(key)) return cacheMemo.get(key);
+
+    try {
+      const obj = await storage.get(key);
+      if (obj) {
+        let cachedData;
+        if (obj.binaryData) {
+          cachedData = pako.ungzip(new Uint8Array(obj.binaryData));
+        } else if (obj.binary) {
+          cachedData = pako.ungzip(base64ToBytes(obj.compressedData));
+        } else {
+          cachedData = decompressData(obj.compressedData);
+        }
+        // Caches written before incremental refresh were always full scans
+        const ret = [cachedData, obj.timestamp, obj.fullScanAt ?? obj.timestamp];
+        cacheMemo.set(key, ret);
+        return ret;
+      }
+    } catch (e) {
+      logError(`Error decompressing cache for key: ${key} e: ${e}`);
+    }
+    return [null, null, null];
+  }
+
+  /**
+   * Generic helper to save data to the storage backend with compression.
+   * Failures (e.g. a full localStorage quota) are logged instead of thrown.
+   *
+   * @param {string} key - The storage key.
+   * @param {any} dataToCache - The data to compress and store, a Uint8Array is stored as binary.
+   * @param {number} fullScanAt - When the data was last fetched from scratch.
+   * @param {number|null} timestamp - Keeps the given modified time instead of now, e.g. when upgrading the format.
+   */
+  async function saveCachedData(key, dataToCache, fullScanAt = Date.now(), timestamp = null) {
+    // Spread out cache modified time to avoid simultaneous cache update -10 to +10 minutes
+    const salt = Math.floor(20 * 60 * 1000 * Math.random() - 10 * 60 * 1000);
+    const obj = { timestamp: timestamp ?? Date.now() + salt, fullScanAt };
+    if (dataToCache instanceof Uint8Array) {
+      const compressed = pako.gzip(dataToCache, { level: 9 });
+      if (storage.supportsBinary) {
+        // The view may not span its whole buffer, only the gzip output is stored
+        obj.binaryData = compressed.slice().buffer;
+      } else {
+        obj.compressedData = bytesToBase64(compressed);
+        obj.binary = true;
+      }
+    } else {
+      obj.compressedData = compressData(dataToCache);
+    }
+    try {
+      await storage.set(key, obj);
+      cacheMemo.set(key, [dataToCache, obj.timestamp, fullScanAt]);
+      notifyStorageChanged(key);
+    } catch (e) {
+      logError(`Failed to save cache for key: ${key} to ${storage.name} e: ${e}`);
+    }
+  }
+
+  async function removeCachedData(key) {
+    try {
+      await storage.remove(key);
+      cacheMemo.delete(key);
+      notifyStorageChanged(key);
+    } catch (e) {
+      logError(`Failed to remove cache for key: ${key} e: ${e}`);
+    }
+  }
+
+  // Now, we can implement the original functions using the helpers:
+  /**
+   * Returns the cached video infos of a sub–playlist, fetching them if there is no cache yet.
+   * A stale cache is returned as is while it is refreshed in the background.
+   *
+   * @param {string} id - Playlist or channel id.
+   * @param {string} type - "playlist" or "channel".
+   * @param {Object} options - { priority, signal } used when there is no cache yet.
+   * @returns {Promise<Object[]>} - Video infos, latest first.
+   */
+  async function getCachedVideoInfos(id, type, { priority = PRIORITY_NORMAL, signal } = {}) {
+    let cacheKey, fetcher, saver;
+    if (type === "playlist") {
+      cacheKey = 'tm_sub_playlist_' + id;
+      fetcher = fetchSubPlaylistVideoInfos;
+      saver = saveCachedSubPlaylist;
+    } else if (type === "channel") {
+      cacheKey = 'tm_sub_playlist_channel_' + id;
+      fetcher = fetchChannelVideoInfos;
+      saver = saveCachedChannelPlaylist;
+    } else {
+      throw new Error("Unexpected behavior");
+    }
+
+    const [cachedMini, timestamp, fullScanAt] = await getCachedData(cacheKey);
+    let cached = null;
+    let partial = false; // Upgraded from an older format with some columns still to be filled
+    if (cachedMini) {
+      if (cachedMini instanceof Uint8Array) {
+        cached = unpackVideoInfos(cachedMini);
+      } else if (isCurrentVideoInfosFormat(cachedMini)) {
+        cached = unminifyVideoInfos(cachedMini);
+      } else {
+        const upgraded = await upgradeCachedVideoInfos(cacheKey, cachedMini, timestamp, fullScanAt);
+        cached = upgraded?.videoInfos ?? null;
+        partial = upgraded?.partial ?? false;
+      }
+    }
+    let stale = null;
+
+    if (!cached) {
+
+      // Null means no data at all
+      for (let i = 0; i < 5; i++) {
+        const videoInfos = await fetcher(id, { priority, signal });
+        if (!videoInfos) {
+          signal?.throwIfAborted();
+          if (isQuotaExhausted()) break;
+          continue;
         }
 
-        beingCachedKeyMap[cacheKey] = false;
-      })();
+        await saver(id, videoInfos);
+        return videoInfos;
+      }
+      logError(`Failed to fetch video ids for ${id} after 5 attempts`, { throwError: true });
+
+    } else {
+      
+      // Check if the cache is stale
+      let effectiveExpiry = getSetting('cacheExpiryHours') * 60 * 60 * 1000;
+      if (cached.length > getSetting('largeSize')) {
+        effectiveExpiry = getSetting('largeCacheExpiryHours') * 60 * 60 * 1000;
+      }
+      stale = Date.now() - timestamp > effectiveExpiry;
+
+    }
+
+    // If cache is stale
+    if (stale === true) {
+      // Only one tab refreshes a given cache, the other tabs reload it when notified of the change
+      tryWithCrossTabLock('tm_refresh_' + cacheKey, async () => {
+        // Another tab may have refreshed the cache before this one got the lock
+        const latest = await storage.get(cacheKey);
+        if (latest?.timestamp !== timestamp) return;
+
+        // Only newest-first playlists can stop paging at the first cached video,
+        // and a full rescan is still needed now and then to catch removed videos.
+        // Partial infos are not merged so that their fallbacks are never saved.
+        const now = Date.now();
+        const incremental = !partial && (type === "channel" || isNewestFirstPlaylist(id))
+          && now - fullScanAt < getSetting('fullRescanDays') * 24 * 60 * 60 * 1000;
+        const knownIds = incremental ? new Set(cached.map(a => a.id)) : null;
+
+        let success = false;
+        for (let i = 0; i < 5; i++) {
+          const videoInfos = await fetcher(id, { knownIds, priority: PRIORITY_BACKGROUND });
+          if (!videoInfos) {
+            if (isQuotaExhausted()) break;
+            continue;
+          }
+
+          if (incremental) {
+            await saver(id, mergeVideoInfos(cached, videoInfos), fullScanAt);
+          } else {
+            await saver(id, videoInfos, now);
+          }
+          success = true;
+          break;
+        }
+        if (!success) {
+          logError(`Failed to update video ids for ${id} after 5 attempts`);
+        }
+      }).catch(e => {
+        logError(`Failed to refresh ${cacheKey} e: ${e}`);
+      });
     }
 
     return cached;
   }
 
-  async function getCachedSubPlaylist(playlistId) {
-    return await getCachedVideoInfos(playlistId, "playlist");
+  async function getCachedSubPlaylist(playlistId, options) {
+    return await getCachedVideoInfos(playlistId, "playlist", options);
   }
 
-  function saveCachedSubPlaylist(playlistId, videoInfos) {
+  async function saveCachedSubPlaylist(playlistId, videoInfos, fullScanAt) {
     const key = 'tm_sub_playlist_' + playlistId;
-    const mini = minifyVideoInfos(videoInfos);
-    saveCachedData(key, mini);
+    const mini = encodeVideoInfos(videoInfos);
+    await saveCachedData(key, mini, fullScanAt);
   }
 
-  async function getCachedChannelPlaylist(channelId) {
-    return await getCachedVideoInfos(channelId, "channel");
+  async function getCachedChannelPlaylist(channelId, options) {
+    return await getCachedVideoInfos(channelId, "channel", options);
   }
 
-  function saveCachedChannelPlaylist(channelId, videoInfos) {
+  async function saveCachedChannelPlaylist(channelId, videoInfos, fullScanAt) {
     const key = 'tm_sub_playlist_channel_' + channelId;
-    const mini = minifyVideoInfos(videoInfos);
-    saveCachedData(key, mini);
+    const mini = encodeVideoInfos(videoInfos);
+    await saveCachedData(key, mini, fullScanAt);
+  }
+
+  // Merges newly fetched video infos into the cached ones, keeping the latest first order
+  function mergeVideoInfos(cached, added) {
+    const addedIds = new Set(added.map(a => a.id));
+    const merged = added.concat(cached.filter(a => !addedIds.has(a.id)));
+    merged.sort((a, b) => b.publishedAt - a.publishedAt);
+    return merged;
   }
 
-  const minifyVideoInfosVersion = "v3.1";
+  // channelId and channelTitle repeat on every row of a channel so gzip takes them down to almost nothing,
+  // most of the size that v4 adds to v3.1 (id, publishedAt) is the title, then viewCount and duration.
+  // Caches of v3.1 and before are read by migrateVideoInfos.
+  const minifyVideoInfosVersion = "v4";
   const minifyVideoInfosMapping = [
     {
       key: 'id',
+      part: null,
       parser: null,
       stringifier: null,
       apiGetter: video => video.id
     },
     {
       key: 'publishedAt',
+      part: 'snippet',
       parser: a => unshortenTime(decodeVarintB64(a), 1673_136_000_000, 1000 * 60),
       stringifier: v => encodeVarintB64(shortenTime(v, 1673_136_000_000, 1000 * 60)),
-      apiGetter: video => (new Date(video.snippet.publishedAt)).getTime()
+      apiGetter: video => (new Date(video.snippet.publishedAt)).getTime(),
+      fallback: 0
+    },
+    {
+      key: 'title',
+      part: 'snippet',
+      parser: unescapeTSV,
+      stringifier: escapeTSV,
+      apiGetter: video => video.snippet.title ?? "",
+      fallback: ""
+    },
+    {
+      key: 'duration', // seconds
+      part: 'contentDetails',
+      parser: a => decodeVarintB64(a),
+      stringifier: v => encodeVarintB64(v),
+      apiGetter: video => parseISODuration(video.contentDetails?.duration),
+      fallback: 0
+    },
+    {
+      key: 'channelId',
+      part: 'snippet',
+      // Channel ids are "UC" + 22 characters, anything else is kept as is after "~"
+      parser: a => a.startsWith("~") ? a.slice(1) : "UC" + a,
+      stringifier: v => v.startsWith("UC") ? v.slice(2) : "~" + v,
+      apiGetter: video => video.snippet.channelId ?? "",
+      fallback: ""
+    },
+    {
+      key: 'channelTitle',
+      part: 'snippet',
+      parser: unescapeTSV,
+      stringifier: escapeTSV,
+      apiGetter: video => video.snippet.channelTitle ?? "",
+      fallback: ""
+    },
+    {
+      key: 'viewCount',
+      part: 'statistics',
+      // Base 36 rather than varint since view counts can exceed 32 bits
+      parser: a => parseInt(a, 36),
+      stringifier: v => v.toString(36),
+      apiGetter: video => Number(video.statistics?.viewCount ?? 0),
+      fallback: 0
+    },
+    {
+      key: 'thumbnail',
+      part: 'snippet',
+      parser: null,
+      stringifier: null,
+      apiGetter: video => getThumbnailKey(video.snippet.thumbnails),
+      fallback: 'd'
     }
   ];
   const minifyVideoInfosHeader = minifyVideoInfosMapping.map(a => a.key).join("\t") + "\t" + minifyVideoInfosVersion;
@@ -660,78 +1706,501 @@
 
   }
 
+  // --------- CACHE FORMAT MIGRATION ----------
+  /**
+   * Columns that can be decoded from older cache formats, keyed by the version at the end of their header.
+   * Encodings of the columns other than id changed before v3.1, so only ids are taken from those.
+   * The current columns that could not be decoded are filled by fillMissingVideoInfos.
+   * "array" is the format before the header was introduced, a plain array of video ids.
+   */
+  const legacyVideoInfosColumns = {
+    "array": { id: null },
+    "v1": { id: null },
+    "v2": { id: null },
+    "v3": { id: null },
+    "v3.1": {
+      id: null,
+      publishedAt: a => unshortenTime(decodeVarintB64(a), 1673_136_000_000, 1000 * 60)
+    },
+  };
 
-  // --------- YOUTUBE API FETCH FUNCTIONS ----------
+  function isCurrentVideoInfosFormat(mini) {
+    return typeof mini === "string" && mini.split("\n", 1)[0] === minifyVideoInfosHeader;
+  }
 
   /**
-   * Fetches all videos from a given playlist (via playlistItems API), then
-   * gets detailed information via the Videos API. It filters out videos
-   * that are currently live or upcoming (i.e. snippet.liveBroadcastContent is "live" or "upcoming"),
-   * returning only completed live videos and regular uploads.
+   * Decodes minified video infos of an older format.
    *
-   * @param {string} playlistId - The ID of the playlist.
-   * @returns {Promise<string[]>} - Array of video IDs sorted by published date (latest first).
+   * @param {string|Array} mini - The cached data.
+   * @returns {{version: string, videoInfos: Object[], missingKeys: string[]}|null} - null if the format is unknown.
    */
-  async function fetchSubPlaylistVideoInfos(playlistId) {
-    const maxResults = 50;
-    let allItems = [];
-    let nextPageToken = '';
-    ensureAPIKey();
-
-    const now = Date.now();
+  function migrateVideoInfos(mini) {
+    let version, videoInfos;
+
+    if (Array.isArray(mini)) {
+      version = "array";
+      videoInfos = mini
+        .map(a => typeof a === "string" ? a : a?.id)
+        .filter(Boolean)
+        .map(id => ({ id }));
+    } else if (typeof mini === "string") {
+      const lines = mini.split("\n");
+      const columns = lines[0].split("\t");
+      version = columns.pop();
+      const parsers = legacyVideoInfosColumns[version];
+      if (!parsers) {
+        logError(`Unknown header of minified video infos: "${lines[0]}"`);
+        return null;
+      }
 
-    /*
-    221 videos
-     1.975 Playlistitem
-     3.42 getVideosDetails
-    **/
+      const rows = lines.slice(1).map(a => a.split("\t"));
+      if (rows.some(a => a.length !== columns.length)) {
+        logError(`The given minified video infos of ${version} have some entries whose length does not match`);
+        return null;
+      }
 
-    // 1. Fetch all items from the playlist (handle pagination)
-    logInfo(`Fetching videos for ${playlistId}...`);
-    try {
-      do {
-        const params = new URLSearchParams({
-          part: 'snippet',
-          playlistId: playlistId,
-          maxResults: maxResults,
-          key: API_KEY,
-          // Note: The "order" parameter is not supported for playlistItems.
+      videoInfos = rows.map(a => {
+        const ret = {};
+        columns.forEach((key, i) => {
+          if (!(key in parsers)) return;
+          ret[key] = parsers[key] ? parsers[key](a[i]) : a[i];
         });
-        if (nextPageToken) {
-          params.set('pageToken', nextPageToken);
-        }
-        const url = `${API_BASE}/playlistItems?${params.toString()}`;
-        const response = await apiFetch(url);
-        const data = await processAPIResponse(response);
-        allItems = allItems.concat(data.items);
-        nextPageToken = data.nextPageToken || '';
-      } while (nextPageToken);
-    } catch (error) {
-      logError(`Error fetching playlist items: ${error}`);
-      return;
+        return ret;
+      });
+    } else {
+      logError("The given minified video infos is neither string nor array");
+      return null;
     }
 
-    logInfo(`Fetched ${allItems.length} videos for ${playlistId}`);
-    console.warn(`${(Date.now() - now) / 1000}s playlistItems ${allItems.length} videos`);
+    const decodedKeys = videoInfos.length > 0 ? Object.keys(videoInfos[0]) : ["id"];
+    const missingKeys = minifyVideoInfosMapping
+      .map(a => a.key)
+      .filter(key => !decodedKeys.includes(key));
+    return { version, videoInfos, missingKeys };
+  }
 
-    // Extract video IDs into an array
-    const videoIdArray = allItems
-      .map(item => item?.snippet?.resourceId?.videoId)
-      .filter(Boolean);
+  /**
+   * Fills the given columns of video infos with a videos call that only asks for the parts those columns need,
+   * which costs 1 unit per 50 videos instead of refetching the whole playlist.
+   * Videos that are no longer available are dropped.
+   *
+   * @param {Object[]} videoInfos - Video infos that have at least the id.
+   * @param {string[]} missingKeys - Keys of minifyVideoInfosMapping to fill.
+   * @param {Object} options - { priority, signal } passed to the request scheduler.
+   * @returns {Promise<Object[]>} - Filled video infos, latest first.
+   */
+  async function fillMissingVideoInfos(videoInfos, missingKeys, options) {
+    const mappings = minifyVideoInfosMapping.filter(a => missingKeys.includes(a.key));
+    const part = [...new Set(mappings.map(a => a.part).filter(Boolean))].join(',');
+
+    const videos = await getVideosDetails(videoInfos.map(a => a.id), { part, ...options });
+    const videoMap = new Map(videos.map(a => [a.id, a]));
+
+    const filled = videoInfos
+      .filter(a => videoMap.has(a.id))
+      .map(a => {
+        const ret = { ...a };
+        for (const m of mappings) {
+          ret[m.key] = m.apiGetter(videoMap.get(a.id));
+        }
+        return ret;
+      });
+    filled.sort((a, b) => b.publishedAt - a.publishedAt);
+    return filled;
+  }
 
-    if (!videoIdArray.length) {
-      logError(`No video found for ${playlistId}. This is an error unless there really is no videos`,
-        { showAlert: true }
-      )
-      return;
+  /**
+   * Upgrades a cache of an older format in place, keeping its timestamps so that it is not considered fresher.
+   * Columns that have to be fetched are filled in the background by one tab, under the same lock as
+   * the refresh of the cache, and they hold the fallback of minifyVideoInfosMapping in the meantime.
+   * The fill can fail or be left to another tab, so the returned infos may stay partial until the cache is reloaded.
+   *
+   * @returns {Promise<{videoInfos: Object[], partial: boolean}|null>} - null if the cache could not be decoded,
+   *   partial is whether some columns hold fallbacks.
+   */
+  async function upgradeCachedVideoInfos(cacheKey, mini, timestamp, fullScanAt) {
+    const migrated = migrateVideoInfos(mini);
+    if (!migrated) return null;
+
+    const { version, videoInfos, missingKeys } = migrated;
+    if (missingKeys.length === 0) {
+      await saveCachedData(cacheKey, encodeVideoInfos(videoInfos), fullScanAt, timestamp);
+      console.warn(`Upgraded cache of ${cacheKey} from ${version} to ${minifyVideoInfosVersion}`);
+      return { videoInfos, partial: false };
     }
 
-    logInfo(`Getting details of videos for ${playlistId}...`);
-    let videos;
-    try {
-      videos = await getVideosDetails(videoIdArray);
-    } catch (error) {
-      logError(`Error fetching video details: ${error}`);
+    tryWithCrossTabLock('tm_refresh_' + cacheKey, async () => {
+      // Another tab may have upgraded or refreshed the cache before this one got the lock
+      const latest = await storage.get(cacheKey);
+      if (latest?.timestamp !== timestamp) return;
+
+      logInfo(`Upgrading cache of ${cacheKey} from ${version}...`);
+      let filled;
+      try {
+        filled = await fillMissingVideoInfos(videoInfos, missingKeys, { priority: PRIORITY_BACKGROUND });
+      } catch (e) {
+        logError(`Failed to fill ${missingKeys.join(", ")} of ${cacheKey} e: ${e}`);
+        return;
+      } finally {
+        logInfo(null);
+      }
+
+      if ((await storage.get(cacheKey))?.timestamp !== timestamp) return;
+      await saveCachedData(cacheKey, encodeVideoInfos(filled), fullScanAt, timestamp);
+      console.warn(`Upgraded cache of ${cacheKey} from ${version} to ${minifyVideoInfosVersion}`);
+    }).catch(e => logError(`Failed to upgrade cache of ${cacheKey} e: ${e}`));
+
+    // What the callers use until the fill is done and the cache is read again
+    const fallbacks = minifyVideoInfosMapping.filter(a => missingKeys.includes(a.key));
+    const partial = videoInfos.map(a => {
+      const ret = { ...a };
+      for (const m of fallbacks) ret[m.key] = m.fallback;
+      return ret;
+    });
+    return { videoInfos: partial, partial: true };
+  }
+
+  // --------- BINARY CACHE ENCODING ----------
+  /*
+  Packed binary format of video infos, column by column so that gzip finds similar bytes next to each other
+    "TMB" + format version byte
+    varint count
+    id            8 bytes each, the 11 base64url characters of a video id hold exactly 64 bits
+    publishedAt   zigzag varint minutes, the first relative to 2023-01-08 and the rest to the previous row
+    duration      varint seconds
+    viewCount     varint
+    thumbnail     1 byte character
+    channel       varint dictionary size, then channelId and channelTitle strings of each entry,
+                  then a varint dictionary index per row
+    title         varint length prefixed UTF-8
+  Videos ids whose last character carries more than 4 bits cannot be packed, and such lists stay as TSV.
+  **/
+  const PACKED_MAGIC = [0x54, 0x4D, 0x42]; // "TMB"
+  const PACKED_VERSION = 1;
+  const PACKED_TIME_ZERO = 1673_136_000_000;
+  const PACKED_TIME_DIVIDER = 1000 * 60;
+  const VIDEO_ID_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+  const VIDEO_ID_INDEX = Object.fromEntries([...VIDEO_ID_ALPHABET].map((c, i) => [c, i]));
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  class ByteWriter {
+    constructor() {
+      this._bytes = new Uint8Array(1024);
+      this.length = 0;
+    }
+
+    _ensure(n) {
+      if (this.length + n <= this._bytes.length) return;
+      let size = this._bytes.length * 2;
+      while (size < this.length + n) size *= 2;
+      const bytes = new Uint8Array(size);
+      bytes.set(this._bytes.subarray(0, this.length));
+      this._bytes = bytes;
+    }
+
+    byte(b) {
+      this._ensure(1);
+      this._bytes[this.length++] = b;
+    }
+
+    bytes(arr) {
+      this._ensure(arr.length);
+      this._bytes.set(arr, this.length);
+      this.length += arr.length;
+    }
+
+    // Unsigned LEB128, arithmetic instead of bit operators so that it works up to 2^53
+    varint(n) {
+      while (n >= 0x80) {
+        this.byte((n % 0x80) | 0x80);
+        n = Math.floor(n / 0x80);
+      }
+      this.byte(n);
+    }
+
+    zigzag(n) {
+      this.varint(n < 0 ? -2 * n - 1 : 2 * n);
+    }
+
+    string(str) {
+      const bytes = textEncoder.encode(str);
+      this.varint(bytes.length);
+      this.bytes(bytes);
+    }
+
+    result() {
+      return this._bytes.slice(0, this.length);
+    }
+  }
+
+  class ByteReader {
+    constructor(bytes) {
+      this._bytes = bytes;
+      this.pos = 0;
+    }
+
+    byte() {
+      if (this.pos >= this._bytes.length) throw new Error("Unexpected end of packed data");
+      return this._bytes[this.pos++];
+    }
+
+    varint() {
+      let n = 0;
+      let mul = 1;
+      let b;
+      do {
+        b = this.byte();
+        n += (b & 0x7F) * mul;
+        mul *= 0x80;
+      } while (b & 0x80);
+      return n;
+    }
+
+    zigzag() {
+      const n = this.varint();
+      return n % 2 ? -(n + 1) / 2 : n / 2;
+    }
+
+    string() {
+      const len = this.varint();
+      if (this.pos + len > this._bytes.length) throw new Error("Unexpected end of packed data");
+      const str = textDecoder.decode(this._bytes.subarray(this.pos, this.pos + len));
+      this.pos += len;
+      return str;
+    }
+  }
+
+  function isPackableVideoId(id) {
+    return /^[A-Za-z0-9_-]{10}[AEIMQUYcgkosw048]$/.test(id);
+  }
+
+  function writeVideoId(writer, id) {
+    let acc = 0;
+    let bits = 0;
+    for (let i = 0; i < 11; i++) {
+      // The last character only has 4 significant bits
+      const n = i === 10 ? 4 : 6;
+      const v = i === 10 ? VIDEO_ID_INDEX[id[i]] >> 2 : VIDEO_ID_INDEX[id[i]];
+      acc = (acc << n) | v;
+      bits += n;
+      while (bits >= 8) {
+        bits -= 8;
+        writer.byte((acc >> bits) & 0xFF);
+      }
+      acc &= (1 << bits) - 1;
+    }
+  }
+
+  function readVideoId(reader) {
+    let acc = 0;
+    let bits = 0;
+    let id = "";
+    for (let i = 0; i < 11; i++) {
+      const n = i === 10 ? 4 : 6;
+      while (bits < n) {
+        acc = (acc << 8) | reader.byte();
+        bits += 8;
+      }
+      bits -= n;
+      const v = (acc >> bits) & ((1 << n) - 1);
+      acc &= (1 << bits) - 1;
+      id += VIDEO_ID_ALPHABET[i === 10 ? v << 2 : v];
+    }
+    return id;
+  }
+
+  /**
+   * Packs video infos into the binary format.
+   * @param {Object[]} videoInfos - Video infos with every key of minifyVideoInfosMapping.
+   * @returns {Uint8Array|null} - null if some video id cannot be packed.
+   */
+  function packVideoInfos(videoInfos) {
+    if (!videoInfos.every(a => isPackableVideoId(a.id))) return null;
+
+    const writer = new ByteWriter();
+    writer.bytes(PACKED_MAGIC);
+    writer.byte(PACKED_VERSION);
+    writer.varint(videoInfos.length);
+
+    videoInfos.forEach(a => writeVideoId(writer, a.id));
+
+    let last = 0;
+    videoInfos.forEach(a => {
+      const t = shortenTime(a.publishedAt, PACKED_TIME_ZERO, PACKED_TIME_DIVIDER);
+      writer.zigzag(t - last);
+      last = t;
+    });
+
+    videoInfos.forEach(a => writer.varint(a.duration));
+    videoInfos.forEach(a => writer.varint(a.viewCount));
+    videoInfos.forEach(a => writer.byte(a.thumbnail.charCodeAt(0)));
+
+    const channels = new Map(); // channelId => dictionary index
+    const channelTitles = [];
+    videoInfos.forEach(a => {
+      if (!channels.has(a.channelId)) {
+        channels.set(a.channelId, channels.size);
+        channelTitles.push(a.channelTitle);
+      }
+    });
+    writer.varint(channels.size);
+    [...channels.keys()].forEach((channelId, i) => {
+      writer.string(channelId);
+      writer.string(channelTitles[i]);
+    });
+    videoInfos.forEach(a => writer.varint(channels.get(a.channelId)));
+
+    videoInfos.forEach(a => writer.string(a.title));
+
+    return writer.result();
+  }
+
+  /**
+   * Unpacks video infos of the binary format.
+   * @param {Uint8Array} bytes - Packed data.
+   * @returns {Object[]|null} - null if the data is malformed or of an unknown version.
+   */
+  function unpackVideoInfos(bytes) {
+    try {
+      const reader = new ByteReader(bytes);
+      if (PACKED_MAGIC.some(b => reader.byte() !== b)) throw new Error("Wrong magic bytes");
+      const version = reader.byte();
+      if (version !== PACKED_VERSION) throw new Error(`Unknown version ${version}`);
+
+      const count = reader.varint();
+      const videoInfos = [];
+      for (let i = 0; i < count; i++) {
+        videoInfos.push({ id: readVideoId(reader) });
+      }
+
+      let last = 0;
+      videoInfos.forEach(a => {
+        last += reader.zigzag();
+        a.publishedAt = unshortenTime(last, PACKED_TIME_ZERO, PACKED_TIME_DIVIDER);
+      });
+
+      videoInfos.forEach(a => a.duration = reader.varint());
+      videoInfos.forEach(a => a.viewCount = reader.varint());
+      videoInfos.forEach(a => a.thumbnail = String.fromCharCode(reader.byte()));
+
+      const channels = [];
+      const channelCount = reader.varint();
+      for (let i = 0; i < channelCount; i++) {
+        channels.push([reader.string(), reader.string()]);
+      }
+      videoInfos.forEach(a => {
+        const channel = channels[reader.varint()];
+        if (!channel) throw new Error("Channel index out of range");
+        [a.channelId, a.channelTitle] = channel;
+      });
+
+      videoInfos.forEach(a => a.title = reader.string());
+
+      // Keep the key order of minifyVideoInfosMapping
+      return videoInfos.map(a => Object.fromEntries(minifyVideoInfosMapping.map(m => [m.key, a[m.key]])));
+    } catch (e) {
+      logError(`Failed to unpack video infos e: ${e}`);
+      return null;
+    }
+  }
+
+  // Packed binary when possible, TSV otherwise
+  function encodeVideoInfos(videoInfos) {
+    return packVideoInfos(videoInfos) ?? minifyVideoInfos(videoInfos);
+  }
+
+  // --------- YOUTUBE API FETCH FUNCTIONS ----------
+
+  // Uploads playlists (UU, UULF, UULV, ...) list the latest video first, other playlists can be in any order
+  function isNewestFirstPlaylist(playlistId) {
+    return playlistId.startsWith("UU");
+  }
+
+  /**
+   * Fetches all videos from a given playlist (via playlistItems API), then
+   * gets detailed information via the Videos API. It filters out videos
+   * that are currently live or upcoming (i.e. snippet.liveBroadcastContent is "live" or "upcoming"),
+   * returning only completed live videos and regular uploads.
+   *
+   * When knownIds is given, paging stops at the first page that contains a known video
+   * and only the videos not in knownIds are returned. This is only valid for newest-first playlists.
+   *
+   * @param {string} playlistId - The ID of the playlist.
+   * @param {Object} options
+   * @param {Set<string>|null} options.knownIds - Video ids that are already cached.
+   * @param {number} options.priority - Priority of the API requests.
+   * @param {AbortSignal} [options.signal] - Cancels the API requests.
+   * @returns {Promise<Object[]>} - Array of video infos sorted by published date (latest first).
+   */
+  async function fetchSubPlaylistVideoInfos(playlistId, { knownIds = null, priority, signal } = {}) {
+    const maxResults = 50;
+    let allItems = [];
+    let nextPageToken = '';
+
+    const now = Date.now();
+
+    /*
+    221 videos
+     1.975 Playlistitem
+     3.42 getVideosDetails
+    **/
+
+    // 1. Fetch all items from the playlist (handle pagination)
+    logInfo(`Fetching videos for ${playlistId}...`);
+    try {
+      do {
+        const params = {
+          part: 'snippet',
+          playlistId: playlistId,
+          maxResults: maxResults,
+          // Note: The "order" parameter is not supported for playlistItems.
+        };
+        if (nextPageToken) {
+          params.pageToken = nextPageToken;
+        }
+        const data = await apiRequest('playlistItems', params, { priority, signal });
+        allItems = allItems.concat(data.items);
+        nextPageToken = data.nextPageToken || '';
+
+        // The rest of the pages are older than a video that is already cached
+        if (knownIds && data.items.some(item => knownIds.has(item?.snippet?.resourceId?.videoId))) {
+          break;
+        }
+      } while (nextPageToken);
+    } catch (error) {
+      logError(`Error fetching playlist items: ${error}`);
+      return;
+    }
+
+    logInfo(`Fetched ${allItems.length} videos for ${playlistId}`);
+    console.warn(`${(Date.now() - now) / 1000}s playlistItems ${allItems.length} videos`);
+
+    // Extract video IDs into an array
+    const videoIdArray = allItems
+      .map(item => item?.snippet?.resourceId?.videoId)
+      .filter(Boolean)
+      .filter(id => !knownIds?.has(id));
+
+    if (knownIds && !videoIdArray.length) {
+      logInfo(null);
+      return [];
+    }
+
+    if (!videoIdArray.length) {
+      logError(`No video found for ${playlistId}. This is an error unless there really is no videos`,
+        { showAlert: true }
+      )
+      return;
+    }
+
+    logInfo(`Getting details of videos for ${playlistId}...`);
+    let videos;
+    try {
+      videos = await getVideosDetails(videoIdArray, { priority, signal });
+    } catch (error) {
+      logError(`Error fetching video details: ${error}`);
       return;
     }
     console.warn(`${(Date.now() - now) / 1000}s getVideosDetails ${videos.length} videos`);
@@ -762,38 +2231,27 @@
 
   /**
    * Fetches detailed video information in batches if needed.
+   * The batches are requested in parallel as far as the request scheduler allows.
    * @param {string[]} videoIdArray - Array of video IDs.
-   * @param {string} baseUrl - Base URL for the YouTube API.
+   * @param {Object} options - The parts to fetch, and { priority, signal } passed to the request scheduler.
    * @returns {Promise<Object[]>} - Array of video objects.
    */
-  async function getVideosDetails(videoIdArray) {
-    ensureAPIKey();
+  async function getVideosDetails(videoIdArray, { part = 'snippet,contentDetails,statistics,liveStreamingDetails', ...options } = {}) {
     const chunked = chunkArray(videoIdArray, 50); // YouTube API supports max 50 ids per request.
-    let allDetails = [];
-
-    for (const chunk of chunked) {
-      const ids = chunk.join(',');
-      const url = new URL(`${API_BASE}/videos`);
-      url.searchParams.set('part', 'snippet,contentDetails,statistics,liveStreamingDetails');
-      url.searchParams.set('id', ids);
-      url.searchParams.set('key', API_KEY);
 
-      const response = await apiFetch(url.toString());
-      const data = await processAPIResponse(response);
-      allDetails = allDetails.concat(data.items);
-    }
+    const responses = await Promise.all(chunked.map(chunk => apiRequest('videos', {
+      part,
+      id: chunk.join(','),
+    }, options)));
 
-    return allDetails;
+    return responses.flatMap(data => data.items);
   }
 
 
   // For channel-based sub–playlists: get the channel's uploads playlist and fetch its videos.
-  async function getUploadsPlaylistId(channelId) {
-    ensureAPIKey();
-    const url = `${API_BASE}/channels?part=contentDetails&id=${channelId}&key=${API_KEY}`;
+  async function getUploadsPlaylistId(channelId, options) {
     try {
-      const response = await apiFetch(url);
-      const data = await processAPIResponse(response);
+      const data = await apiRequest('channels', { part: 'contentDetails', id: channelId }, options);
       if (data.items && data.items.length > 0) {
         let id = data.items[0].contentDetails.relatedPlaylists.uploads;
         return id;
@@ -804,19 +2262,16 @@
     return null;
   }
 
-  async function fetchChannelVideoInfos(channelId) {
-    const uploadsPlaylistId = await getUploadsPlaylistId(channelId);
+  async function fetchChannelVideoInfos(channelId, options) {
+    const uploadsPlaylistId = await getUploadsPlaylistId(channelId, options);
     if (!uploadsPlaylistId) return;
-    return await fetchSubPlaylistVideoInfos(uploadsPlaylistId);
+    return await fetchSubPlaylistVideoInfos(uploadsPlaylistId, options);
   }
 
   // Validate a playlist URL by YouTube API (returns "channelTitle - playlist title")
   async function validatePlaylist(playlistId) {
-    ensureAPIKey();
-    const url = `${API_BASE}/playlists?part=snippet&id=${playlistId}&key=${API_KEY}`;
     try {
-      const response = await apiFetch(url);
-      const data = await processAPIResponse(response);
+      const data = await apiRequest('playlists', { part: 'snippet', id: playlistId }, { priority: PRIORITY_INTERACTIVE });
       if (data.items && data.items.length > 0) {
         const { title, channelTitle } = data.items[0].snippet;
         return `${channelTitle} - ${title}`;
@@ -829,11 +2284,8 @@
 
   // Validate a channel URL by YouTube API (returns channel title)
   async function validateChannel(channelId) {
-    ensureAPIKey();
-    const url = `${API_BASE}/channels?part=snippet&id=${channelId}&key=${API_KEY}`;
     try {
-      const response = await apiFetch(url);
-      const data = await processAPIResponse(response);
+      const data = await apiRequest('channels', { part: 'snippet', id: channelId }, { priority: PRIORITY_INTERACTIVE });
       if (data.items && data.items.length > 0) {
         return data.items[0].snippet.title;
       }
@@ -845,39 +2297,70 @@
 
   // Validate a channel handle by YouTube API (returns channel title)
   async function validateChannelHandle(handle) {
-    ensureAPIKey();
-    const url = `${API_BASE}/channels?part=snippet&forHandle=${handle}&key=${API_KEY}`;
     try {
-      const response = await apiFetch(url);
-      const data = await processAPIResponse(response);
+      const data = await apiRequest('channels', { part: 'snippet', forHandle: handle }, { priority: PRIORITY_INTERACTIVE });
       if (data.items && data.items.length > 0) {
         return [data.items[0].id, data.items[0].snippet.title];
       }
     } catch (e) {
-      logError(`Error validating channel id: ${channelId} e: ${e}`);
+      logError(`Error validating channel handle: ${handle} e: ${e}`);
     }
     return [null, null];
   }
 
+  /**
+   * Validates many channels or playlists at once, up to 50 ids per request.
+   * @param {string} type - "channel" or "playlist".
+   * @param {string[]} ids
+   * @returns {Promise<{titles: Map<string, string>, unchecked: Map<string, string>}>} - titles is id => title
+   *   of the ones that exist, as validateChannel and validatePlaylist return them. unchecked is id => error
+   *   message of the ones whose request failed, they may or may not exist.
+   */
+  async function validateSubPlaylistIds(type, ids) {
+    const resource = type === 'channel' ? 'channels' : 'playlists';
+    const titles = new Map();
+    const unchecked = new Map();
+    await Promise.all(chunkArray(ids, 50).map(async (chunk) => {
+      let data;
+      try {
+        data = await apiRequest(resource, { part: 'snippet', id: chunk.join(','), maxResults: 50 }, { priority: PRIORITY_INTERACTIVE });
+      } catch (e) {
+        logError(`Error validating ${chunk.length} ${resource} e: ${e}`);
+        chunk.forEach(id => unchecked.set(id, e.message ?? `${e}`));
+        return;
+      }
+      for (const item of data.items || []) {
+        const { title, channelTitle } = item.snippet;
+        titles.set(item.id, type === 'channel' ? title : `${channelTitle} - ${title}`);
+      }
+    }));
+    return { titles, unchecked };
+  }
+
   // Refresh (or fetch) each sub–playlist for a given master playlist
-  async function refreshMasterPlaylist(masterPlaylist) {
+  // Runs in the background priority so that interactive requests are not held up behind it
+  async function refreshMasterPlaylist(masterPlaylist, { signal } = {}) {
+    const options = { priority: PRIORITY_BACKGROUND, signal };
     for (let sub of masterPlaylist.subPlaylists) {
+      signal?.throwIfAborted();
       if (sub.type === 'channel') {
-        await getCachedChannelPlaylist(sub.id);
+        await getCachedChannelPlaylist(sub.id, options);
       } else {
         // type === 'playlist'
-        await getCachedSubPlaylist(sub.id);
+        await getCachedSubPlaylist(sub.id, options);
       }
     }
   }
 
   // Build a mapping of every video (across all sub–playlists) to its video id
+  // Blocked videos and videos that do not pass the filter rules of the master playlist are left out
   async function getVideoMapping(masterPlaylist) {
     let mapping = [];
 
     // Uses Set to eliminate duplicate video keys
     // duplicate video keys cause shuffle malfunction
     const seenVideoIds = new Set();
+    const blockedIds = getListedVideoIds(masterPlaylist, 'blocked');
     for (let sub of masterPlaylist.subPlaylists) {
       let videoInfos;
       if (sub.type === 'channel') {
@@ -893,7 +2376,7 @@
       for (let i = videoInfos.length - 1; i >= 0; i--) {
         const info = videoInfos[i];
         const vid = info.id;
-        if (!seenVideoIds.has(vid)) {
+        if (!seenVideoIds.has(vid) && !blockedIds.has(vid)) {
           seenVideoIds.add(vid);
           mapping.push({
             _meta: {
@@ -902,732 +2385,3772 @@
                 videoIndex: i
               }
             },
-            id: vid,
-            publishedAt: info.publishedAt
+            ...info
           });
         }
       }
     }
-    return mapping;
+    return applyFilterRules(mapping, masterPlaylist.filters);
   }
 
-  document.addEventListener("DOMContentLoaded", () => {
+  // --------- BLOCKED AND FAVORITE VIDEOS ----------
+  // Kept in the master playlist as masterPlaylist.blocked and masterPlaylist.favorites, lists of { id, title }.
+  // Blocked videos are left out of the mapping and favorites weigh more in shuffle.
+  const VIDEO_LISTS = ['blocked', 'favorites'];
 
-    // --------- GLOBAL STATE ----------
-    let currentMasterId = null;
+  function getListedVideoIds(masterPlaylist, list) {
+    return new Set((masterPlaylist[list] || []).map(a => a.id));
+  }
 
-    // --------- CREATE TOP BAR UI ----------
-    const wrapperDiv = document.createElement("div");
-    wrapperDiv.style.cssText = `
-      width: 100%;
-      background: rgba(0, 0, 0, 0.2);
-      text-align: center;
-      padding: 0.5rem;
-      position: fixed;
-      top: 0;
-      left: 0;
-      z-index: 1000000;
-      pointer-events: none;
-      opacity: 0;
-      transition: opacity 0.2s ease-out;
-      display: flex;
-      justify-content: center;
-    `;
-    document.body.appendChild(wrapperDiv);
+  /**
+   * Adds a video to a list of a master playlist, or removes it if it is already there.
+   * A video is never both blocked and a favorite, so adding it to one list removes it from the other.
+   *
+   * @param {string} masterId
+   * @param {string} list - "blocked" or "favorites".
+   * @param {{id: string, title: string}} video
+   * @returns {boolean} - Whether the video is in the list now.
+   */
+  function toggleListedVideo(masterId, list, video) {
+    const masterPlaylists = getMasterPlaylists();
+    const masterPlaylist = masterPlaylists[masterId];
+    if (!masterPlaylist) return false;
+
+    const listed = getListedVideoIds(masterPlaylist, list).has(video.id);
+    for (const name of VIDEO_LISTS) {
+      masterPlaylist[name] = (masterPlaylist[name] || []).filter(a => a.id !== video.id);
+    }
+    if (!listed) {
+      masterPlaylist[list].push({ id: video.id, title: video.title || "" });
+    }
+    saveMasterPlaylists(masterPlaylists);
+    return !listed;
+  }
 
-    // Show top bar when mouse is near the top of the page
-    const debouncedOpacity = debounce(() => {
-      wrapperDiv.style.opacity = 0;
-    }, 3000);
-    wrapperDiv.addEventListener('mousemove', (e) => {
-      wrapperDiv.style.opacity = '1';
-      debouncedOpacity();
-    });
+  // --------- PLAY ORDER EXPORT ----------
+  // The play order as files for other tools, e.g. yt-dlp takes the URL list with `-a`
+  const watchUrl = id => `https://www.youtube.com/watch?v=${id}`;
+  const csvField = value => /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value;
+  // Unknown dates are 0, or missing from caches that are still being upgraded
+  const isoDate = time => Number.isFinite(time) && time > 0 ? new Date(time).toISOString() : null;
 
-    // Button style (applied to buttons and the select)
-    const btnStyle = `
-      background: #fff3;
-      color: white;
-      padding: 0.4rem 0.8rem;
-      font-size: 1rem;
-      font-family: Arial, sans-serif;
-      border: none;
-      border-radius: 0.5rem;
-      cursor: pointer;
-      transition: background 0.3s ease-in-out;
-      pointer-events: all;
-      margin-right: .25rem;
-    `;
+  /**
+   * Formats of the play order. write(rows, info) returns the file content where rows are
+   * { position, id, title, duration, publishedAt, subPlaylist: { id, title } } and info is { name, seed, shuffle }.
+   */
+  const PLAY_ORDER_FORMATS = {
+    m3u: {
+      label: "M3U",
+      extension: "m3u",
+      type: "audio/x-mpegurl",
+      write: (rows, info) => [
+        "#EXTM3U",
+        `#PLAYLIST:${info.name}`,
+        ...rows.flatMap(row => [
+          `#EXTINF:${row.duration || -1},${row.title.replaceAll(/[\r\n]+/g, " ")}`,
+          watchUrl(row.id),
+        ]),
+      ].join("\n") + "\n",
+    },
+    csv: {
+      label: "CSV",
+      extension: "csv",
+      type: "text/csv",
+      write: rows => [
+        "position,id,publishedAt,subPlaylist,title",
+        ...rows.map(row => [
+          row.position,
+          row.id,
+          isoDate(row.publishedAt) ?? "",
+          csvField(row.subPlaylist.title),
+          csvField(row.title),
+        ].join(",")),
+      ].join("\r\n") + "\r\n",
+    },
+    json: {
+      label: "JSON",
+      extension: "json",
+      type: "application/json",
+      write: (rows, info) => JSON.stringify({
+        ...info,
+        exportedAt: new Date().toISOString(),
+        videos: rows.map(row => ({
+          ...row,
+          publishedAt: isoDate(row.publishedAt),
+          url: watchUrl(row.id),
+        })),
+      }, null, 2),
+    },
+    urls: {
+      label: "URL list",
+      extension: "txt",
+      type: "text/plain",
+      write: rows => rows.map(row => watchUrl(row.id)).join("\n") + "\n",
+    },
+  };
 
-    const spanStyle = `
-      color: white;
-      margin-right: 0.25rem;
-      opacity: 0.8;
-      transform: translateY(1.2rem);
-      line-height: 0;
-    `;
+  /**
+   * Writes a play order in one of PLAY_ORDER_FORMATS.
+   * @param {string} format
+   * @param {Object} masterPlaylist
+   * @param {Object[]} ordered - The mapping in play order, as resolvePlayOrder returns it.
+   * @param {{seed: number, shuffle: boolean}} order - What the order was resolved with.
+   * @returns {string}
+   */
+  function writePlayOrder(format, masterPlaylist, ordered, { seed, shuffle }) {
+    const subTitles = new Map(masterPlaylist.subPlaylists.map(sub => [sub.id, sub.title || sub.id]));
+    const rows = ordered.map((info, idx) => ({
+      position: idx + 1,
+      id: info.id,
+      title: info.title ?? "",
+      duration: info.duration,
+      publishedAt: info.publishedAt,
+      subPlaylist: { id: info._meta.subPlaylist.id, title: subTitles.get(info._meta.subPlaylist.id) ?? info._meta.subPlaylist.id },
+    }));
+    const info = { name: masterPlaylist.name, shuffle };
+    if (shuffle) info.seed = seed;
+    return PLAY_ORDER_FORMATS[format].write(rows, info);
+  }
 
-    // Deprecation
-    deprecatedSpan.style.cssText = deprecatedSpan.style.cssText + `
-      margin-right: 0.5rem;
-      transform: translateY(1rem);
-      line-height: 0;
-      pointer-events: all;
-      user-select: none;
-      font-size: 1.5rem;
-    `;
-    wrapperDiv.appendChild(deprecatedSpan);
+  // --------- GOOGLE TAKEOUT IMPORT ----------
+  /*
+  CSV files of YouTube in Google Takeout that list sub–playlists, recognized by their header:
+    subscriptions.csv    Channel Id,Channel Url,Channel Title
+    playlists.csv        Playlist ID,Add new videos to top,Playlist title (original),...
+    <playlist>.csv       Playlist ID,Channel ID,Time Created,Time Updated,Title,Description,Visibility
+                         in older exports, one playlist per file with its videos after a blank line
+  Files of the videos of a playlist have a Video ID column only and are not recognized.
+  **/
+
+  // Splits CSV text into rows of fields, as RFC 4180 with quoted fields that may contain line breaks
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ",") {
+        row.push(field);
+        field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
 
-    // Enabled check
-    const enabeldSpan = document.createElement("span");
-    enabeldSpan.textContent = "Enabled";
-    enabeldSpan.style.cssText = spanStyle;
-    wrapperDiv.appendChild(enabeldSpan);
-    const enabeldCheck = document.createElement("input");
-    enabeldCheck.type = "checkbox";
-    enabeldCheck.style.pointerEvents = 'all';
-    wrapperDiv.appendChild(enabeldCheck);
-    const sessionEnabled = sessionStorage.getItem("tm_session_enabled");
-    if (sessionEnabled)
-      enabeldCheck.checked = "true" == sessionEnabled;
-    enabeldCheck.addEventListener("change", () => {
-      sessionStorage.setItem("tm_session_enabled", enabeldCheck.checked);
-    });
-    const manualEnable = () => {
-      enabeldCheck.checked = true;
-      enabeldCheck.dispatchEvent(new Event("change"));
-    };
+  /**
+   * Reads the sub–playlists listed in a Takeout CSV file.
+   * @param {string} text
+   * @returns {{id: string, type: string, title: string, url: string}[]|null} - null when the file is not
+   *   one of the recognized ones. Titles are the ones at the time of the export.
+   */
+  function parseTakeoutCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return null;
+    const header = rows[0].map(a => a.trim().toLowerCase());
+
+    let type, idCol, titleCol, toUrl;
+    if (header.includes("channel id") && header.includes("channel title")) {
+      type = 'channel';
+      idCol = header.indexOf("channel id");
+      titleCol = header.indexOf("channel title");
+      toUrl = id => `https://www.youtube.com/channel/${id}`;
+    } else if (header[0] === "playlist id") {
+      type = 'playlist';
+      idCol = 0;
+      titleCol = header.findIndex(a => a === "title" || a.startsWith("playlist title"));
+      toUrl = id => `https://www.youtube.com/playlist?list=${id}`;
+    } else {
+      return null;
+    }
 
-    // Shuffle check
-    const shuffleSpan = document.createElement("span");
-    shuffleSpan.textContent = "Shuffle";
-    shuffleSpan.style.cssText = spanStyle;
-    wrapperDiv.appendChild(shuffleSpan);
-    const shuffleCheck = document.createElement("input");
-    shuffleCheck.type = "checkbox";
-    shuffleCheck.style.cssText = `
-      pointer-events: all;
-      margin-right: 1rem;
-    `;
-    shuffleCheck.checked = true;
-    wrapperDiv.appendChild(shuffleCheck);
-    const sessionShuffle = sessionStorage.getItem("tm_session_shuffle");
-    if (sessionShuffle)
-      shuffleCheck.checked = "true" == sessionShuffle;
-    shuffleCheck.addEventListener("change", () => {
-      sessionStorage.setItem("tm_session_shuffle", shuffleCheck.checked);
+    const found = new Map();
+    for (const row of rows.slice(1)) {
+      // Older playlist files list the videos after a blank line
+      if (row.every(a => a.trim() === "")) break;
+      const id = row[idCol]?.trim();
+      if (!id || found.has(id)) continue;
+      found.set(id, { id, type, title: row[titleCol]?.trim() || id, url: toUrl(id) });
+    }
+    return [...found.values()];
+  }
+
+  // --------- SEARCH ----------
+  /**
+   * Scores how well a query token matches a text, case-insensitively.
+   * A substring scores higher the earlier it starts and more at the start of a word, otherwise
+   * the characters of the token have to appear in order and score less the more they are spread.
+   *
+   * @returns {number} - 0 when the token does not match.
+   */
+  function fuzzyScore(token, text) {
+    text = text.toLowerCase();
+    const idx = text.indexOf(token);
+    if (idx !== -1) {
+      const atWordStart = idx === 0 || /[\s\W]/.test(text[idx - 1]);
+      return 100 + (atWordStart ? 50 : 0) - Math.min(idx, 50);
+    }
+
+    let score = 0;
+    let last = -1;
+    for (const ch of token) {
+      const next = text.indexOf(ch, last + 1);
+      if (next === -1) return 0;
+      score += next === last + 1 ? 3 : 1;
+      last = next;
+    }
+    return score;
+  }
+
+  /**
+   * Finds videos by title, channel name and id, every word of the query has to match one of them.
+   * Titles weigh more than channel names.
+   *
+   * @param {Object[]} mapping - Built by getVideoMapping.
+   * @param {string} query
+   * @param {number} limit - Most results returned.
+   * @returns {Object[]} - Entries of the mapping, best first.
+   */
+  function searchVideos(mapping, query, limit = 50) {
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const results = [];
+    for (const info of mapping) {
+      let total = 0;
+      for (const token of tokens) {
+        const score = Math.max(
+          fuzzyScore(token, info.title || "") * 2,
+          fuzzyScore(token, info.channelTitle || ""),
+          info.id.toLowerCase() === token ? 400 : 0
+        );
+        if (score === 0) {
+          total = 0;
+          break;
+        }
+        total += score;
+      }
+      if (total > 0) results.push({ info, total });
+    }
+    return results
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit)
+      .map(a => a.info);
+  }
+
+  // --------- FILTER RULES ----------
+  /**
+   * Rules that a master playlist applies to its videos, stored as masterPlaylist.filters = [{ type, ...params }].
+   * A video is kept when it passes every rule, and videos of unknown duration (0) pass the duration rules.
+   * Params are listed as { name, label, kind } where kind is one of "number", "date", "text" and "regex".
+   */
+  const FILTER_RULE_TYPES = {
+    minDuration: {
+      label: "Longer than",
+      params: [{ name: "minutes", label: "minutes", kind: "number" }],
+      describe: r => `Longer than ${r.minutes} min`,
+      compile: r => info => !info.duration || info.duration >= r.minutes * 60,
+    },
+    maxDuration: {
+      label: "Shorter than",
+      params: [{ name: "minutes", label: "minutes", kind: "number" }],
+      describe: r => `Shorter than ${r.minutes} min`,
+      compile: r => info => !info.duration || info.duration <= r.minutes * 60,
+    },
+    excludeShorts: {
+      label: "Exclude Shorts",
+      params: [],
+      describe: () => "No Shorts",
+      // The API does not tell Shorts apart, so they are told by the duration
+      compile: () => info => !info.duration || info.duration > getSetting('shortsMaxSeconds'),
+    },
+    publishedWithin: {
+      label: "Published within",
+      params: [{ name: "days", label: "days", kind: "number" }],
+      describe: r => `Published within ${r.days} days`,
+      compile: (r) => {
+        const since = Date.now() - r.days * 24 * 60 * 60 * 1000;
+        return info => info.publishedAt >= since;
+      },
+    },
+    publishedBetween: {
+      label: "Published between",
+      params: [
+        { name: "from", label: "from", kind: "date" },
+        { name: "to", label: "to", kind: "date" },
+      ],
+      describe: r => `Published ${r.from} to ${r.to}`,
+      compile: (r) => {
+        // Both days included, in local time
+        const from = new Date(r.from + "T00:00").getTime();
+        const to = new Date(r.to + "T00:00").getTime() + 24 * 60 * 60 * 1000;
+        return info => info.publishedAt >= from && info.publishedAt < to;
+      },
+    },
+    titleIncludes: {
+      label: "Title has any of",
+      params: [{ name: "text", label: "keywords, comma separated", kind: "text" }],
+      describe: r => `Title has any of ${r.text}`,
+      compile: (r) => {
+        const keywords = splitFilterKeywords(r.text);
+        return info => keywords.some(k => (info.title || "").toLowerCase().includes(k));
+      },
+    },
+    titleExcludes: {
+      label: "Title has none of",
+      params: [{ name: "text", label: "keywords, comma separated", kind: "text" }],
+      describe: r => `Title has none of ${r.text}`,
+      compile: (r) => {
+        const keywords = splitFilterKeywords(r.text);
+        return info => !keywords.some(k => (info.title || "").toLowerCase().includes(k));
+      },
+    },
+    titleMatches: {
+      label: "Title matches",
+      params: [{ name: "pattern", label: "regex", kind: "regex" }],
+      describe: r => `Title matches /${r.pattern}/i`,
+      compile: (r) => {
+        const re = new RegExp(r.pattern, "i");
+        return info => re.test(info.title || "");
+      },
+    },
+    titleNotMatches: {
+      label: "Title does not match",
+      params: [{ name: "pattern", label: "regex", kind: "regex" }],
+      describe: r => `Title does not match /${r.pattern}/i`,
+      compile: (r) => {
+        const re = new RegExp(r.pattern, "i");
+        return info => !re.test(info.title || "");
+      },
+    },
+  };
+
+  function splitFilterKeywords(text) {
+    return text.split(",").map(a => a.trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Checks a rule entered by the user or found in imported data.
+   * @param {Object} rule - { type, ...params }, params may be strings as entered.
+   * @returns {Object} - The rule with only the params of its type, numbers converted.
+   * @throws {Error} - When the rule is invalid, with a message that can be shown to the user.
+   */
+  function validateFilterRule(rule) {
+    const def = FILTER_RULE_TYPES[rule?.type];
+    if (!def) throw new Error(`Unknown filter type ${rule?.type}`);
+
+    const valid = { type: rule.type };
+    for (const param of def.params) {
+      const value = String(rule[param.name] ?? "").trim();
+      if (value === "") throw new Error(`${def.label}: ${param.label} is missing`);
+
+      if (param.kind === "number") {
+        const num = Number(value);
+        if (!Number.isFinite(num) || num < 0) throw new Error(`${def.label}: ${param.label} must be a positive number`);
+        valid[param.name] = num;
+      } else if (param.kind === "date") {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value + "T00:00").getTime())) {
+          throw new Error(`${def.label}: ${param.label} must be a date as YYYY-MM-DD`);
+        }
+        valid[param.name] = value;
+      } else if (param.kind === "regex") {
+        try {
+          new RegExp(value, "i");
+        } catch (e) {
+          throw new Error(`${def.label}: ${e.message}`);
+        }
+        valid[param.name] = value;
+      } else {
+        valid[param.name] = value;
+      }
+    }
+    return valid;
+  }
+
+  function describeFilterRule(rule) {
+    return FILTER_RULE_TYPES[rule.type]?.describe(rule) ?? `Unknown filter ${rule.type}`;
+  }
+
+  // Keeps the videos that pass every rule, invalid rules are skipped
+  function applyFilterRules(mapping, rules) {
+    if (!rules || rules.length === 0) return mapping;
+
+    const tests = [];
+    for (const rule of rules) {
+      try {
+        tests.push(FILTER_RULE_TYPES[rule.type].compile(validateFilterRule(rule)));
+      } catch (e) {
+        logError(`Skipping filter rule ${JSON.stringify(rule)} e: ${e.message}`);
+      }
+    }
+    return mapping.filter(info => tests.every(test => test(info)));
+  }
+
+  /**
+   * Interleaves the sub–playlists one video at a time, from the oldest of each: the first video of
+   * every sub–playlist in the order of the master playlist, then the second of every one and so on.
+   * Sub–playlists that run out drop out of the rotation.
+   *
+   * @param {Object[]} mapping - Built by getVideoMapping.
+   * @returns {Object[]} - A new array.
+   */
+  function interleaveSubPlaylists(mapping) {
+    const groups = new Map(); // Sub–playlist id => videos, in the order of the master playlist
+    for (const item of mapping) {
+      const subId = item._meta.subPlaylist.id;
+      if (!groups.has(subId)) groups.set(subId, []);
+      groups.get(subId).push(item);
+    }
+
+    // Caches are latest first, so the oldest video has the highest index
+    const queues = [...groups.values()]
+      .map(group => group.sort((a, b) => b._meta.subPlaylist.videoIndex - a._meta.subPlaylist.videoIndex));
+    const interleaved = [];
+    for (let round = 0; interleaved.length < mapping.length; round++) {
+      for (const queue of queues) {
+        if (round < queue.length) interleaved.push(queue[round]);
+      }
+    }
+    return interleaved;
+  }
+
+  /**
+   * Returns the weights of the sub–playlists in shuffle, sub–playlists without one weigh 1.
+   * @param {Object} masterPlaylist
+   * @returns {Map<string, number>|null} - Sub–playlist id => weight, null when no weight is set
+   *   and every video counts the same whatever sub–playlist it is in.
+   */
+  function getSubPlaylistWeights(masterPlaylist) {
+    if (!masterPlaylist.subPlaylists.some(sub => sub.weight !== undefined)) return null;
+    return new Map(masterPlaylist.subPlaylists.map(sub => [sub.id, sub.weight ?? 1]));
+  }
+
+  // --------- PER-MASTER DATA ----------
+  // State kept for each master playlist apart from its definition, e.g. the watch history
+  const masterDataMemo = new Map(); // storage key => data
+
+  // Next read loads what another tab has saved
+  onStorageChanged((key) => masterDataMemo.delete(key));
+
+  async function getMasterData(prefix, masterId, fallback) {
+    const key = prefix + masterId;
+    if (masterDataMemo.has(key)) return masterDataMemo.get(key);
+
+    let data = fallback;
+    try {
+      data = await storage.get(key) ?? fallback;
+    } catch (e) {
+      logError(`Failed to load ${key} e: ${e}`);
+    }
+    masterDataMemo.set(key, data);
+    return data;
+  }
+
+  async function saveMasterData(prefix, masterId, data) {
+    const key = prefix + masterId;
+    masterDataMemo.set(key, data);
+    try {
+      await storage.set(key, data);
+      notifyStorageChanged(key);
+    } catch (e) {
+      logError(`Failed to save ${key} e: ${e}`);
+    }
+  }
+
+  /**
+   * Changes per-master data by what is in the storage, under a lock shared by the tabs,
+   * so that tabs changing the same data at the same time do not overwrite each other.
+   *
+   * @param {Function} fn - Takes the current data and returns the data to save.
+   */
+  async function updateMasterData(prefix, masterId, fallback, fn) {
+    const key = prefix + masterId;
+    await withCrossTabLock(key, async () => {
+      let data = fallback;
+      try {
+        data = await storage.get(key) ?? fallback;
+      } catch (e) {
+        logError(`Failed to load ${key} e: ${e}`);
+      }
+      await saveMasterData(prefix, masterId, fn(data));
     });
+  }
 
-    // Create select element for "Master Playlists"
-    const masterSelect = document.createElement("select");
-    // Override text color to black so options are readable on white background
-    masterSelect.style.cssText = btnStyle;
-    wrapperDiv.appendChild(masterSelect);
+  async function removeMasterData(prefix, masterId) {
+    const key = prefix + masterId;
+    masterDataMemo.delete(key);
+    try {
+      await storage.remove(key);
+      notifyStorageChanged(key);
+    } catch (e) {
+      logError(`Failed to remove ${key} e: ${e}`);
+    }
+  }
 
-    // Create select element for "Master Playlists"
-    const seedInput = document.createElement("input");
-    seedInput.type = "text";
-    seedInput.placeholder = "seed";
-    seedInput.style.cssText = btnStyle + "width: 10rem;";
-    wrapperDiv.appendChild(seedInput);
-    seedInput.addEventListener("input", () => {
-      const sanitized = seedInput.value.trim().replaceAll(/[^\d]/g, "");
-      const seed = parseInt(sanitized);
-      if (isNaN(seed)) {
-        seedInput.value = "";
+  // --------- WATCH HISTORY ----------
+  const HISTORY_KEY_PREFIX = 'tm_history_';
+  const WATCH_RECORD_INTERVAL = 10 * 1000; // Progress of the current play is saved at most this often
+
+  /**
+   * Returns the plays recorded for a master playlist, oldest first.
+   * @param {string} masterId
+   * @returns {Promise<{id: string, at: number, fraction: number}[]>} - `at` is when the play started and
+   *   `fraction` is how far the video was watched, from 0 to 1.
+   */
+  function getWatchHistory(masterId) {
+    return getMasterData(HISTORY_KEY_PREFIX, masterId, []);
+  }
+
+  function clearWatchHistory(masterId) {
+    return removeMasterData(HISTORY_KEY_PREFIX, masterId);
+  }
+
+  /**
+   * Records the progress of a play. The same play, identified by the video id and the start time,
+   * is updated in place so that this can be called repeatedly while the video plays.
+   *
+   * @param {string} masterId
+   * @param {string} videoId
+   * @param {number} startedAt - When the play started.
+   * @param {number} fraction - Watched fraction of the video, from 0 to 1.
+   */
+  async function recordWatch(masterId, videoId, startedAt, fraction) {
+    fraction = Math.round(fraction * 100) / 100;
+    // Other tabs may be recording their plays at the same time
+    await updateMasterData(HISTORY_KEY_PREFIX, masterId, [], (history) => {
+      const entries = history.slice();
+      const idx = entries.findLastIndex(a => a.id === videoId && a.at === startedAt);
+      if (idx === -1) {
+        entries.push({ id: videoId, at: startedAt, fraction });
       } else {
-        seedInput.value = seed;
+        entries[idx] = { ...entries[idx], fraction: Math.max(entries[idx].fraction, fraction) };
       }
-      localStorage.setItem('tm_current_seed', seedInput.value);
+      return entries.slice(-getSetting('historyLimit'));
     });
-    seedInput.value = localStorage.getItem('tm_current_seed') || "";
+  }
 
-    // Populate the masterSelect from localStorage data
-    function populateMasterSelect() {
-      masterSelect.innerHTML = trustPolicy.createHTML('');
-      const masterPlaylists = getMasterPlaylists();
-      for (let id in masterPlaylists) {
-        const option = document.createElement("option");
-        option.value = id;
-        option.textContent = masterPlaylists[id].name;
-        option.style.color = "black";
-        masterSelect.appendChild(option);
+  // Ids of the videos that nextVideo passes over, according to the skip settings
+  async function getSkippedVideoIds(masterId) {
+    const skipped = new Set();
+    const within = getSetting('skipPlayedWithinHours') * 60 * 60 * 1000;
+    const percent = getSetting('skipWatchedPercent');
+    if (within === 0 && percent === 0) return skipped;
+
+    const now = Date.now();
+    for (const entry of await getWatchHistory(masterId)) {
+      if ((within > 0 && now - entry.at < within) ||
+        (percent > 0 && entry.fraction * 100 >= percent)) {
+        skipped.add(entry.id);
       }
     }
-    populateMasterSelect();
-    if (masterSelect.value) currentMasterId = masterSelect.value;
+    return skipped;
+  }
 
-    // Retrieve current master id from localStorage (if set) and update masterSelect
-    const storedMasterId = sessionStorage.getItem('tm_current_master_id') || localStorage.getItem('tm_current_master_id');
-    if (storedMasterId) {
-      currentMasterId = storedMasterId;
-      masterSelect.value = storedMasterId;
+  // --------- CYCLE MODE ----------
+  // Plays every video of a master playlist once per pass
+  const CYCLE_KEY_PREFIX = 'tm_cycle_';
+
+  /**
+   * Returns the state of the current pass of a master playlist.
+   * @param {string} masterId
+   * @returns {Promise<{pass: number, played: string[]}>} - `pass` counts from 1, `played` holds the ids
+   *   played in this pass.
+   */
+  function getCycleState(masterId) {
+    return getMasterData(CYCLE_KEY_PREFIX, masterId, { pass: 1, played: [] });
+  }
+
+  function saveCycleState(masterId, state) {
+    return saveMasterData(CYCLE_KEY_PREFIX, masterId, state);
+  }
+
+  function clearCycleState(masterId) {
+    return removeMasterData(CYCLE_KEY_PREFIX, masterId);
+  }
+
+  // --------- SHUFFLE ALGORITHMS ----------
+  // A shuffle ranks every video by a pseudo-random number of its id and the seed only, so that adding
+  // a video does not change the order of the others. The id of the algorithm is stored with the master
+  // playlist as masterPlaylist.shuffleAlgorithm; a new algorithm gets a new id instead of changing
+  // an existing one, so that a seed always gives the same order.
+  //
+  // "legacy-sin": frac(sin(seed + h) * 10000) where h is the 31-multiplier string hash of the id.
+  //   Ranks are in (-1, 1) and poorly spread, and close seeds give close orders. Masters saved before
+  //   the algorithm id existed have no id and keep using this one.
+  // "mix32-v1": a murmur3-style 32-bit hash of the UTF-16 code units of the id, seeded with the seed
+  //   folded to 32 bits by the murmur3 finalizer, over 2^32. Ranks are uniform in [0, 1).
+  const LEGACY_SHUFFLE_ALGORITHM = "legacy-sin";
+  const DEFAULT_SHUFFLE_ALGORITHM = "mix32-v1";
+
+  // murmur3 finalizer, spreads every input bit over the output
+  function fmix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  const SHUFFLE_ALGORITHMS = {
+    "legacy-sin": {
+      label: "Legacy",
+      rank(videoId, seed) {
+        let hash = 0;
+        for (let i = 0; i < videoId.length; i++) {
+          hash = (hash * 31 + videoId.charCodeAt(i)) >>> 0; // Simple hash function
+        }
+        return (Math.sin(seed + hash) * 10000) % 1; // Get a stable random order
+      },
+    },
+    "mix32-v1": {
+      label: "Mix32 v1",
+      rank(videoId, seed) {
+        // Seeds can be timestamps beyond 32 bits
+        let h = fmix32((seed >>> 0) ^ fmix32(Math.floor(seed / 0x100000000) >>> 0));
+        for (let i = 0; i < videoId.length; i++) {
+          let k = Math.imul(videoId.charCodeAt(i), 0xcc9e2d51);
+          k = (k << 15) | (k >>> 17);
+          k = Math.imul(k, 0x1b873593);
+          h ^= k;
+          h = (h << 13) | (h >>> 19);
+          h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+        }
+        return fmix32(h ^ videoId.length) / 0x100000000;
+      },
+    },
+  };
+
+  function getShuffleAlgorithm(masterPlaylist) {
+    const algorithm = masterPlaylist.shuffleAlgorithm ?? LEGACY_SHUFFLE_ALGORITHM;
+    if (!SHUFFLE_ALGORITHMS[algorithm]) {
+      logError(`Unknown shuffle algorithm ${algorithm}, using ${DEFAULT_SHUFFLE_ALGORITHM}`);
+      return DEFAULT_SHUFFLE_ALGORITHM;
     }
+    return algorithm;
+  }
 
-    // "New" button
-    const newButton = document.createElement("button");
-    newButton.textContent = "New";
-    newButton.type = "button";
-    newButton.style.cssText = btnStyle;
-    wrapperDiv.appendChild(newButton);
+  // --------- SEQUENTIAL SUB–PLAYLISTS ----------
+  // Sub–playlists flagged sequential play their episodes in order even in shuffle,
+  // the last episode played of each is kept per master playlist
+  const SERIES_KEY_PREFIX = 'tm_series_';
 
-    // "Edit" button
-    const editButton = document.createElement("button");
-    editButton.textContent = "Edit";
-    editButton.type = "button";
-    editButton.style.cssText = btnStyle;
-    wrapperDiv.appendChild(editButton);
+  // Sub–playlist id => id of the last episode played
+  function getSeriesProgress(masterId) {
+    return getMasterData(SERIES_KEY_PREFIX, masterId, {});
+  }
 
-    // "Prev" button
-    const prevButton = document.createElement("button");
-    prevButton.textContent = "❘◀";
-    prevButton.type = "button";
-    prevButton.style.cssText = btnStyle + "margin-left: 1.5rem;";
-    wrapperDiv.appendChild(prevButton);
+  function saveSeriesProgress(masterId, progress) {
+    return saveMasterData(SERIES_KEY_PREFIX, masterId, progress);
+  }
 
-    // "Next" button
-    const nextButton = document.createElement("button");
-    nextButton.textContent = "▶❘";
-    nextButton.type = "button";
-    nextButton.style.cssText = btnStyle;
-    wrapperDiv.appendChild(nextButton);
+  function clearSeriesProgress(masterId) {
+    return removeMasterData(SERIES_KEY_PREFIX, masterId);
+  }
+
+  /**
+   * Returns the videos of a sub–playlist in the order they are meant to be watched, from the oldest.
+   *
+   * @param {Object[]} mapping - Built by getVideoMapping.
+   * @param {Object} sub - Entry of masterPlaylist.subPlaylists.
+   * @returns {Object[]}
+   */
+  function getEpisodes(mapping, sub) {
+    // Caches are sorted latest first whatever the playlist order is, so the oldest has the highest videoIndex
+    return mapping
+      .filter(item => item._meta.subPlaylist.id === sub.id)
+      .sort((a, b) => b._meta.subPlaylist.videoIndex - a._meta.subPlaylist.videoIndex);
+  }
+
+  // The episode after the last one played, the series starts over after its last episode
+  function getNextEpisode(episodes, lastId) {
+    const idx = episodes.findIndex(a => a.id === lastId);
+    return episodes[(idx + 1) % episodes.length];
+  }
+
+  // Moves the progress of a sequential sub–playlist on to an episode that is played, however it was opened.
+  // An episode before the last one played leaves the progress as it is.
+  async function recordEpisode(masterId, masterPlaylist, mapping, videoId) {
+    const info = mapping.find(a => a.id === videoId);
+    const sub = info && masterPlaylist.subPlaylists.find(a => a.id === info._meta.subPlaylist.id);
+    if (!sub?.sequential) return;
+
+    const episodes = getEpisodes(mapping, sub);
+    const progress = await getSeriesProgress(masterId);
+    if (episodes.indexOf(info) > episodes.findIndex(a => a.id === progress[sub.id])) {
+      await saveSeriesProgress(masterId, { ...progress, [sub.id]: videoId });
+    }
+  }
+
+  /**
+   * Puts the episodes that Next plays in place of the videos of sequential sub–playlists in a shuffled order,
+   * going on from the progress as if the order were played from its start.
+   *
+   * @param {Object} masterPlaylist
+   * @param {Object[]} mapping - Built by getVideoMapping.
+   * @param {Object[]} ordered - As resolvePlayOrder returns it with shuffle on.
+   * @param {Object} progress - As getSeriesProgress returns it.
+   * @returns {Object[]}
+   */
+  function substituteEpisodes(masterPlaylist, mapping, ordered, progress) {
+    const episodesBySub = new Map(masterPlaylist.subPlaylists
+      .filter(sub => sub.sequential)
+      .map(sub => [sub.id, getEpisodes(mapping, sub)]));
+    if (episodesBySub.size === 0) return ordered;
+
+    const lastIds = { ...progress };
+    return ordered.map(info => {
+      const subId = info._meta.subPlaylist.id;
+      const episodes = episodesBySub.get(subId);
+      if (!episodes) return info;
+      const episode = getNextEpisode(episodes, lastIds[subId]);
+      lastIds[subId] = episode.id;
+      return episode;
+    });
+  }
+
+  // --------- MASTER PLAYLIST EXPORT ----------
+  /*
+  Export format of a master playlist, a JSON file:
+    {
+      "format": "tm-master-playlist",
+      "version": 1,
+      "exportedAt": "2026-01-01T00:00:00.000Z",
+      "master": {
+        "name": "Lectures",                                  non-empty
+        "subPlaylists": [{
+          "id": "PL...", "type": "playlist" | "channel", "title": "...", "url": "https://...",
+          "weight": 2,                                       optional, 0 to 1000
+          "sequential": true                                 optional
+        }],
+        "aggregate": true, "interleave": false,              optional
+        "shuffleAlgorithm": "mix32-v1",                      optional, see SHUFFLE ALGORITHMS
+        "filters": [{ "type": "minDuration", "minutes": 5 }], optional, see FILTER RULES
+        "blocked": [{ "id": "...", "title": "..." }],        optional
+        "favorites": [{ "id": "...", "title": "..." }]       optional
+      }
+    }
+  Fields that are not listed are dropped on import. Exports of the previous versions are the gzip+base64
+  of the bare master object, and are read as version 0 with the same schema.
+  **/
+  const EXPORT_FORMAT = "tm-master-playlist";
+  const EXPORT_VERSION = 1;
+
+  const LISTED_VIDEO_SCHEMA = {
+    type: "object",
+    fields: {
+      id: { type: "string", required: true, nonEmpty: true },
+      title: { type: "string" },
+    },
+  };
+  const MASTER_SCHEMA = {
+    type: "object",
+    fields: {
+      name: { type: "string", required: true, nonEmpty: true },
+      subPlaylists: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          fields: {
+            id: { type: "string", required: true, nonEmpty: true },
+            type: { type: "string", required: true, enum: ["playlist", "channel"] },
+            title: { type: "string", required: true },
+            url: { type: "string", required: true, nonEmpty: true },
+            weight: { type: "number", min: 0, max: 1000 },
+            sequential: { type: "boolean" },
+          },
+        },
+      },
+      aggregate: { type: "boolean" },
+      interleave: { type: "boolean" },
+      shuffleAlgorithm: { type: "string", enum: Object.keys(SHUFFLE_ALGORITHMS) },
+      filters: { type: "array", items: { check: validateFilterRule } },
+      blocked: { type: "array", items: LISTED_VIDEO_SCHEMA },
+      favorites: { type: "array", items: LISTED_VIDEO_SCHEMA },
+    },
+  };
+
+  /**
+   * Checks a value against a schema and returns a copy with only the fields of the schema.
+   * Schemas have a type of "string", "number", "boolean", "array" (with items), "object" (with fields)
+   * or "map" (an object with any keys, with values), or a check function that returns the cleaned value or throws.
+   *
+   * @param {any} value
+   * @param {Object} schema
+   * @param {string} path - Where the value is, used in the error messages.
+   * @param {string[]} errors - Receives an error message per invalid field.
+   * @returns {any} - The cleaned value, undefined if it is invalid.
+   */
+  function validateSchema(value, schema, path, errors) {
+    const at = path || "(root)";
+    const fail = (msg) => {
+      errors.push(`${at}: ${msg}`);
+      return undefined;
+    };
+
+    if (schema.check) {
+      try {
+        return schema.check(value);
+      } catch (e) {
+        return fail(e.message);
+      }
+    }
+
+    switch (schema.type) {
+      case "string":
+        if (typeof value !== "string") return fail("must be a string");
+        if (schema.nonEmpty && value.trim() === "") return fail("must not be empty");
+        if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(", ")}`);
+        return value;
+      case "number":
+        if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a number");
+        if (value < schema.min || value > schema.max) return fail(`must be between ${schema.min} and ${schema.max}`);
+        return value;
+      case "boolean":
+        if (typeof value !== "boolean") return fail("must be true or false");
+        return value;
+      case "array":
+        if (!Array.isArray(value)) return fail("must be an array");
+        return value
+          .map((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, errors))
+          .filter(item => item !== undefined);
+      case "object": {
+        if (typeof value !== "object" || value === null || Array.isArray(value)) return fail("must be an object");
+        const cleaned = {};
+        for (const name in schema.fields) {
+          const fieldPath = path ? `${path}.${name}` : name;
+          if (value[name] === undefined || value[name] === null) {
+            if (schema.fields[name].required) errors.push(`${fieldPath}: is missing`);
+            continue;
+          }
+          const field = validateSchema(value[name], schema.fields[name], fieldPath, errors);
+          if (field !== undefined) cleaned[name] = field;
+        }
+        return cleaned;
+      }
+      case "map": {
+        if (typeof value !== "object" || value === null || Array.isArray(value)) return fail("must be an object");
+        const cleaned = {};
+        for (const key in value) {
+          const item = validateSchema(value[key], schema.values, path ? `${path}.${key}` : key, errors);
+          if (item !== undefined) cleaned[key] = item;
+        }
+        return cleaned;
+      }
+    }
+    return fail(`unknown schema type ${schema.type}`);
+  }
+
+  function buildMasterExport(masterPlaylist) {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      master: validateSchema(masterPlaylist, MASTER_SCHEMA, "master", []),
+    };
+  }
+
+  /**
+   * Reads an exported master playlist, either the JSON format or a legacy base64 blob.
+   * @param {string} text
+   * @returns {{version: number, master: Object|undefined, errors: string[]}|null} - null when the text
+   *   is not export data at all, e.g. a URL.
+   */
+  function parseMasterExport(text) {
+    text = text.trim();
+    const errors = [];
+
+    if (text.startsWith("{")) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        return { version: null, master: undefined, errors: [`Malformed JSON: ${e.message}`] };
+      }
+      if (data.format !== EXPORT_FORMAT) errors.push(`format: must be ${EXPORT_FORMAT}`);
+      if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push("version: must be a positive integer");
+      } else if (data.version > EXPORT_VERSION) {
+        errors.push(`version: ${data.version} is newer than this script supports (${EXPORT_VERSION}), update the script`);
+      }
+      if (errors.length > 0) return { version: data.version, master: undefined, errors };
+      const master = validateSchema(data.master, MASTER_SCHEMA, "master", errors);
+      return { version: data.version, master, errors };
+    }
+
+    if (!isBase64(text)) return null;
+    let data;
+    try {
+      data = JSON.parse(decompressData(text));
+    } catch (e) {
+      return { version: 0, master: undefined, errors: [`Malformed export data: ${e.message}`] };
+    }
+    const master = validateSchema(data, MASTER_SCHEMA, "", errors);
+    return { version: 0, master, errors };
+  }
+
+  // --------- BACKUP AND RESTORE ----------
+  /*
+  Backup of everything but the API keys, a JSON file:
+    {
+      "format": "tm-backup",
+      "version": 1,
+      "exportedAt": "2026-01-01T00:00:00.000Z",
+      "masters": { "mp_1700000000000": { ...master, see MASTER PLAYLIST EXPORT } },
+      "currentMasterId": "mp_1700000000000",                optional
+      "seed": "1234",                                       optional
+      "settings": { "cacheExpiryHours": 12 },               the settings that differ from the defaults
+      "masterData": {
+        "history": { "mp_1700000000000": [...] },           see WATCH HISTORY
+        "cycle": { "mp_1700000000000": {...} },             see CYCLE MODE
+        "series": { "mp_1700000000000": {...} }             see SEQUENTIAL SUB–PLAYLISTS
+      },
+      "caches": {                                           optional
+        "tm_sub_playlist_PL...": { "timestamp": 0, "fullScanAt": 0, "compressedData": "...", "binary": true }
+      }
+    }
+  Caches are kept in the form of the localStorage backend, gzipped data in base64.
+  **/
+  const BACKUP_FORMAT = "tm-backup";
+  const BACKUP_VERSION = 1;
+
+  // Name in the backup => storage key prefix of the per-master data
+  const BACKUP_MASTER_DATA = {
+    history: HISTORY_KEY_PREFIX,
+    cycle: CYCLE_KEY_PREFIX,
+    series: SERIES_KEY_PREFIX,
+  };
+
+  const checkPlainData = (value) => {
+    if (typeof value !== "object" || value === null) throw new Error("must be an object or an array");
+    return value;
+  };
+  const BACKUP_SCHEMA = {
+    type: "object",
+    fields: {
+      exportedAt: { type: "string" },
+      masters: { type: "map", required: true, values: MASTER_SCHEMA },
+      currentMasterId: { type: "string" },
+      seed: { type: "string" },
+      settings: {
+        type: "map",
+        values: { check: value => value }, // Checked by saveSettings on restore
+      },
+      masterData: {
+        type: "object",
+        fields: Object.fromEntries(Object.keys(BACKUP_MASTER_DATA).map(name => [
+          name, { type: "map", values: { check: checkPlainData } },
+        ])),
+      },
+      caches: {
+        type: "map",
+        values: {
+          type: "object",
+          fields: {
+            timestamp: { type: "number", required: true },
+            fullScanAt: { type: "number" },
+            compressedData: { type: "string", required: true, nonEmpty: true },
+            binary: { type: "boolean" },
+          },
+        },
+      },
+    },
+  };
+
+  // What to do with a master of the backup
+  const RESTORE_KEEP = "keep"; // Keep the current one, or skip it if there is none
+  const RESTORE_USE = "use"; // Use the one of the backup
+  const RESTORE_BOTH = "both"; // Restore the one of the backup as a new master
+
+  /**
+   * Collects everything into a backup.
+   * @param {{includeCaches: boolean}} options - Caches can be fetched again, and take most of the size.
+   * @returns {Promise<Object>}
+   */
+  async function createBackup({ includeCaches = false } = {}) {
+    const masters = getMasterPlaylists();
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      masters,
+      settings: JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}"),
+      masterData: {},
+    };
+    const currentMasterId = localStorage.getItem('tm_current_master_id');
+    if (currentMasterId) backup.currentMasterId = currentMasterId;
+    const seed = localStorage.getItem('tm_current_seed');
+    if (seed) backup.seed = seed;
+
+    for (const name in BACKUP_MASTER_DATA) {
+      backup.masterData[name] = {};
+      for (const masterId in masters) {
+        const data = await getMasterData(BACKUP_MASTER_DATA[name], masterId, null);
+        if (data !== null) backup.masterData[name][masterId] = data;
+      }
+    }
+
+    if (includeCaches) {
+      backup.caches = {};
+      for (const key of await storage.keys(SUB_PLAYLIST_KEY_PREFIX)) {
+        const obj = await storage.get(key);
+        if (!obj) continue;
+        const cache = { timestamp: obj.timestamp, fullScanAt: obj.fullScanAt ?? obj.timestamp };
+        if (obj.binaryData) {
+          cache.compressedData = bytesToBase64(new Uint8Array(obj.binaryData));
+          cache.binary = true;
+        } else {
+          cache.compressedData = obj.compressedData;
+          if (obj.binary) cache.binary = true;
+        }
+        backup.caches[key] = cache;
+      }
+    }
+    return backup;
+  }
+
+  /**
+   * Reads a backup file.
+   * @param {string} text
+   * @returns {{backup: Object|undefined, errors: string[]}|null} - null when the text is not a backup.
+   */
+  function parseBackup(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (typeof data !== "object" || data === null || data.format !== BACKUP_FORMAT) return null;
+
+    const errors = [];
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push("version: must be a positive integer");
+    } else if (data.version > BACKUP_VERSION) {
+      errors.push(`version: ${data.version} is newer than this script supports (${BACKUP_VERSION}), update the script`);
+    }
+    if (errors.length > 0) return { backup: undefined, errors };
+
+    const backup = validateSchema(data, BACKUP_SCHEMA, "", errors);
+    if (backup && data.caches) {
+      for (const key in backup.caches) {
+        if (!key.startsWith(SUB_PLAYLIST_KEY_PREFIX)) errors.push(`caches.${key}: is not a sub–playlist cache`);
+      }
+    }
+    return { backup, errors };
+  }
+
+  // Short descriptions of how the master of a backup differs from the current one
+  function describeMasterChanges(current, restored) {
+    const changes = [];
+    if (current.name !== restored.name) changes.push(`renamed from ${current.name}`);
+
+    const currentSubs = new Map(current.subPlaylists.map(sub => [sub.id, sub]));
+    const restoredSubs = new Map(restored.subPlaylists.map(sub => [sub.id, sub]));
+    const added = [...restoredSubs.keys()].filter(id => !currentSubs.has(id)).length;
+    const removed = [...currentSubs.keys()].filter(id => !restoredSubs.has(id)).length;
+    const modified = [...restoredSubs.keys()].filter(id => currentSubs.has(id) &&
+      JSON.stringify(currentSubs.get(id)) !== JSON.stringify(restoredSubs.get(id))).length;
+    if (added > 0) changes.push(`${added} playlists/channels more`);
+    if (removed > 0) changes.push(`${removed} playlists/channels less`);
+    if (modified > 0) changes.push(`${modified} playlists/channels changed`);
+
+    for (const name of ['aggregate', 'interleave', 'shuffleAlgorithm', 'filters', 'blocked', 'favorites']) {
+      if (JSON.stringify(current[name]) !== JSON.stringify(restored[name])) changes.push(`${name} differs`);
+    }
+    return changes;
+  }
+
+  /**
+   * Compares a backup with the current data.
+   * @param {Object} backup - As returned by parseBackup.
+   * @returns {Promise<Object>} - {
+   *     masters: [{ id, name, status: "new"|"same"|"changed", changes: string[] }],
+   *     kept: names of the current masters that are not in the backup,
+   *     settings: [{ name, current, restored }] formatted values of the settings that differ,
+   *     session: { seed, masterName } of the backup when either differs, otherwise null,
+   *     caches: { total, newer } counts of the caches in the backup and of those newer than the current ones
+   *   }
+   */
+  async function diffBackup(backup) {
+    const masters = getMasterPlaylists();
+    const diff = { masters: [], kept: [], settings: [], session: null, caches: { total: 0, newer: 0 } };
+
+    for (const id in backup.masters) {
+      const restored = backup.masters[id];
+      if (!masters[id]) {
+        diff.masters.push({ id, name: restored.name, status: "new", changes: [] });
+        continue;
+      }
+      const changes = describeMasterChanges(validateSchema(masters[id], MASTER_SCHEMA, "", []), restored);
+      for (const name in BACKUP_MASTER_DATA) {
+        const data = await getMasterData(BACKUP_MASTER_DATA[name], id, null);
+        const restoredData = backup.masterData?.[name]?.[id] ?? null;
+        if (JSON.stringify(data) !== JSON.stringify(restoredData)) changes.push(`${name} differs`);
+      }
+      diff.masters.push({ id, name: restored.name, status: changes.length > 0 ? "changed" : "same", changes });
+    }
+    for (const id in masters) {
+      if (!backup.masters[id]) diff.kept.push(masters[id].name);
+    }
+
+    const settings = getSettings();
+    for (const name in SETTING_DEFINITIONS) {
+      const restored = backup.settings?.[name] ?? SETTING_DEFINITIONS[name].default;
+      if (JSON.stringify(restored) !== JSON.stringify(settings[name])) {
+        diff.settings.push({ name, current: formatSetting(name, settings[name]), restored: formatSetting(name, restored) });
+      }
+    }
+
+    const seed = localStorage.getItem('tm_current_seed') || "";
+    const currentMasterId = localStorage.getItem('tm_current_master_id') || "";
+    if ((backup.seed ?? "") !== seed || (backup.currentMasterId ?? "") !== currentMasterId) {
+      diff.session = { seed: backup.seed ?? "", masterName: backup.masters[backup.currentMasterId]?.name ?? "" };
+    }
+
+    for (const key in backup.caches || {}) {
+      diff.caches.total++;
+      const current = await storage.get(key);
+      if (!current || backup.caches[key].timestamp > current.timestamp) diff.caches.newer++;
+    }
+    return diff;
+  }
+
+  /**
+   * Restores a backup.
+   * @param {Object} backup - As returned by parseBackup.
+   * @param {Object} choices - {
+   *     masters: master id => RESTORE_KEEP, RESTORE_USE or RESTORE_BOTH,
+   *     settings, session, caches: whether to restore each, caches only where the backup is newer
+   *   }
+   * @returns {Promise<Object>} - { masters: master id of the backup => id it is restored as, errors: string[] }
+   */
+  async function applyBackup(backup, choices) {
+    const masters = getMasterPlaylists();
+    const restoredIds = {};
+    const errors = [];
+
+    for (const id in backup.masters) {
+      const choice = choices.masters[id] ?? RESTORE_KEEP;
+      if (choice === RESTORE_KEEP) continue;
+
+      let newId = id;
+      if (choice === RESTORE_BOTH && masters[id]) {
+        newId = 'mp_' + Date.now() + '_' + Object.keys(restoredIds).length;
+        masters[newId] = { ...backup.masters[id], name: `${backup.masters[id].name} (restored)` };
+      } else {
+        masters[newId] = backup.masters[id];
+      }
+      restoredIds[id] = newId;
+
+      for (const name in BACKUP_MASTER_DATA) {
+        const data = backup.masterData?.[name]?.[id];
+        if (data !== undefined) {
+          await saveMasterData(BACKUP_MASTER_DATA[name], newId, data);
+        } else {
+          await removeMasterData(BACKUP_MASTER_DATA[name], newId);
+        }
+      }
+    }
+    saveMasterPlaylists(masters);
+
+    if (choices.settings) {
+      const values = {};
+      for (const name in SETTING_DEFINITIONS) {
+        values[name] = backup.settings?.[name] ?? SETTING_DEFINITIONS[name].default;
+      }
+      const settingErrors = saveSettings(values);
+      for (const name in settingErrors) errors.push(`settings.${name}: ${settingErrors[name]}`);
+    }
+
+    if (choices.session) {
+      localStorage.setItem('tm_current_seed', backup.seed ?? "");
+      const currentMasterId = restoredIds[backup.currentMasterId] ?? backup.currentMasterId;
+      if (currentMasterId && masters[currentMasterId]) {
+        localStorage.setItem('tm_current_master_id', currentMasterId);
+        sessionStorage.setItem('tm_current_master_id', currentMasterId);
+      }
+    }
+
+    if (choices.caches) {
+      for (const key in backup.caches || {}) {
+        const cache = backup.caches[key];
+        const current = await storage.get(key);
+        if (current && cache.timestamp <= current.timestamp) continue;
+
+        const obj = { timestamp: cache.timestamp, fullScanAt: cache.fullScanAt ?? cache.timestamp };
+        if (cache.binary && storage.supportsBinary) {
+          obj.binaryData = base64ToBytes(cache.compressedData).buffer;
+        } else {
+          obj.compressedData = cache.compressedData;
+          if (cache.binary) obj.binary = true;
+        }
+        try {
+          await storage.set(key, obj);
+          cacheMemo.delete(key);
+          notifyStorageChanged(key);
+        } catch (e) {
+          errors.push(`caches.${key}: ${e}`);
+        }
+      }
+    }
+
+    return { masters: restoredIds, errors };
+  }
+
+  // --------- SHARE LINKS ----------
+  /*
+  A share link carries a master playlist in its fragment:
+    https://www.youtube.com/watch?v=<video id>#mpn=<payload>
+  payload is the gzipped JSON below in base64url:
+    {
+      "master": { ...master, see MASTER PLAYLIST EXPORT, without blocked and favorites },
+      "seed": "1234",                optional
+      "shuffle": true,               optional
+      "position": 12,                optional, index in the play order of the seed, from 0
+      "videoId": "dQw4w9WgXcQ"       optional, the video at position, which wins when the order has changed since
+    }
+  **/
+  const SHARE_HASH_PREFIX = "#mpn=";
+  const SHARE_SCHEMA = {
+    type: "object",
+    fields: {
+      master: { ...MASTER_SCHEMA, required: true },
+      seed: { type: "string" },
+      shuffle: { type: "boolean" },
+      position: { type: "number", min: 0, max: Number.MAX_SAFE_INTEGER },
+      videoId: { type: "string", nonEmpty: true },
+    },
+  };
+
+  // YouTube rewrites the URL while it loads, so the fragment is read as soon as the script runs
+  const launchShareHash = location.hash.startsWith(SHARE_HASH_PREFIX) ? location.hash : null;
+
+  // The master playlist as a share link carries it, without the videos the sharer has blocked or favorited
+  function getSharedMaster(masterPlaylist) {
+    const { blocked, favorites, ...master } = validateSchema(masterPlaylist, MASTER_SCHEMA, "master", []);
+    return master;
+  }
+
+  /**
+   * Builds a link that shares a master playlist.
+   * @param {Object} masterPlaylist
+   * @param {{seed?: string, shuffle?: boolean, position?: number, videoId?: string}} at - Where to start playing,
+   *   position is in the order of getSharedMaster(masterPlaylist) which the recipient gets.
+   * @returns {string}
+   */
+  function buildShareLink(masterPlaylist, at = {}) {
+    const payload = { master: getSharedMaster(masterPlaylist), ...at };
+    const base64 = bytesToBase64(pako.gzip(JSON.stringify(payload), { level: 9 }));
+    const encoded = base64.replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+    const watch = at.videoId ? `/watch?v=${encodeURIComponent(at.videoId)}` : "/watch";
+    return `https://www.youtube.com${watch}${SHARE_HASH_PREFIX}${encoded}`;
+  }
+
+  /**
+   * Reads the fragment of a share link.
+   * @param {string} hash - Starting with SHARE_HASH_PREFIX.
+   * @returns {{share: Object|undefined, errors: string[]}}
+   */
+  function parseShareHash(hash) {
+    let data;
+    try {
+      let base64 = hash.slice(SHARE_HASH_PREFIX.length).replaceAll("-", "+").replaceAll("_", "/");
+      base64 += "=".repeat((4 - base64.length % 4) % 4);
+      data = JSON.parse(pako.ungzip(base64ToBytes(base64), { to: 'string' }));
+    } catch (e) {
+      return { share: undefined, errors: [`Malformed share link: ${e.message ?? e}`] };
+    }
+    const errors = [];
+    const share = validateSchema(data, SHARE_SCHEMA, "", errors);
+    return { share, errors };
+  }
+
+  document.addEventListener("DOMContentLoaded", async () => {
+
+    // Master playlists are mirrored in memory once the storage backend is ready
+    await storageReady;
+
+    // --------- GLOBAL STATE ----------
+    let currentMasterId = null;
+
+    // --------- CREATE TOP BAR UI ----------
+    const wrapperDiv = document.createElement("div");
+    wrapperDiv.style.cssText = `
+      width: 100%;
+      background: rgba(0, 0, 0, 0.2);
+      text-align: center;
+      padding: 0.5rem;
+      position: fixed;
+      top: 0;
+      left: 0;
+      z-index: 1000000;
+      pointer-events: none;
+      opacity: 0;
+      transition: opacity 0.2s ease-out;
+      display: flex;
+      justify-content: center;
+    `;
+    document.body.appendChild(wrapperDiv);
+
+    // Show top bar when mouse is near the top of the page
+    const debouncedOpacity = debounce(() => {
+      wrapperDiv.style.opacity = 0;
+    }, 3000);
+    wrapperDiv.addEventListener('mousemove', (e) => {
+      wrapperDiv.style.opacity = '1';
+      debouncedOpacity();
+    });
+
+    // Button style (applied to buttons and the select)
+    const btnStyle = `
+      background: #fff3;
+      color: white;
+      padding: 0.4rem 0.8rem;
+      font-size: 1rem;
+      font-family: Arial, sans-serif;
+      border: none;
+      border-radius: 0.5rem;
+      cursor: pointer;
+      transition: background 0.3s ease-in-out;
+      pointer-events: all;
+      margin-right: .25rem;
+    `;
+
+    const spanStyle = `
+      color: white;
+      margin-right: 0.25rem;
+      opacity: 0.8;
+      transform: translateY(1.2rem);
+      line-height: 0;
+    `;
+
+    // Deprecation
+    deprecatedSpan.style.cssText = deprecatedSpan.style.cssText + `
+      margin-right: 0.5rem;
+      transform: translateY(1rem);
+      line-height: 0;
+      pointer-events: all;
+      user-select: none;
+      font-size: 1.5rem;
+    `;
+    wrapperDiv.appendChild(deprecatedSpan);
+
+    // Enabled check
+    const enabeldSpan = document.createElement("span");
+    enabeldSpan.textContent = "Enabled";
+    enabeldSpan.style.cssText = spanStyle;
+    wrapperDiv.appendChild(enabeldSpan);
+    const enabeldCheck = document.createElement("input");
+    enabeldCheck.type = "checkbox";
+    enabeldCheck.style.pointerEvents = 'all';
+    wrapperDiv.appendChild(enabeldCheck);
+    const sessionEnabled = sessionStorage.getItem("tm_session_enabled");
+    if (sessionEnabled)
+      enabeldCheck.checked = "true" == sessionEnabled;
+    enabeldCheck.addEventListener("change", () => {
+      sessionStorage.setItem("tm_session_enabled", enabeldCheck.checked);
+    });
+    const manualEnable = () => {
+      enabeldCheck.checked = true;
+      enabeldCheck.dispatchEvent(new Event("change"));
+    };
+
+    // Shuffle check
+    const shuffleSpan = document.createElement("span");
+    shuffleSpan.textContent = "Shuffle";
+    shuffleSpan.style.cssText = spanStyle;
+    wrapperDiv.appendChild(shuffleSpan);
+    const shuffleCheck = document.createElement("input");
+    shuffleCheck.type = "checkbox";
+    shuffleCheck.style.cssText = `
+      pointer-events: all;
+      margin-right: 1rem;
+    `;
+    shuffleCheck.checked = true;
+    wrapperDiv.appendChild(shuffleCheck);
+    const sessionShuffle = sessionStorage.getItem("tm_session_shuffle");
+    if (sessionShuffle)
+      shuffleCheck.checked = "true" == sessionShuffle;
+    shuffleCheck.addEventListener("change", () => {
+      sessionStorage.setItem("tm_session_shuffle", shuffleCheck.checked);
+    });
+
+    // Cycle check
+    const cycleSpan = document.createElement("span");
+    cycleSpan.textContent = "Cycle";
+    cycleSpan.title = "Play every video once before any video is played again";
+    cycleSpan.style.cssText = spanStyle + "pointer-events: all;";
+    wrapperDiv.appendChild(cycleSpan);
+    const cycleCheck = document.createElement("input");
+    cycleCheck.type = "checkbox";
+    cycleCheck.style.cssText = `
+      pointer-events: all;
+      margin-right: 1rem;
+    `;
+    wrapperDiv.appendChild(cycleCheck);
+    cycleCheck.checked = "true" == sessionStorage.getItem("tm_session_cycle");
+    cycleCheck.addEventListener("change", () => {
+      sessionStorage.setItem("tm_session_cycle", cycleCheck.checked);
+    });
+
+    // Create select element for "Master Playlists"
+    const masterSelect = document.createElement("select");
+    // Override text color to black so options are readable on white background
+    masterSelect.style.cssText = btnStyle;
+    wrapperDiv.appendChild(masterSelect);
+
+    // Create select element for "Master Playlists"
+    const seedInput = document.createElement("input");
+    seedInput.type = "text";
+    seedInput.placeholder = "seed";
+    seedInput.style.cssText = btnStyle + "width: 10rem;";
+    wrapperDiv.appendChild(seedInput);
+    seedInput.addEventListener("input", () => {
+      const sanitized = seedInput.value.trim().replaceAll(/[^\d]/g, "");
+      const seed = parseInt(sanitized);
+      if (isNaN(seed)) {
+        seedInput.value = "";
+      } else {
+        seedInput.value = seed;
+      }
+      localStorage.setItem('tm_current_seed', seedInput.value);
+    });
+    seedInput.value = localStorage.getItem('tm_current_seed') || "";
+
+    // Populate the masterSelect from localStorage data
+    function populateMasterSelect() {
+      masterSelect.innerHTML = trustPolicy.createHTML('');
+      const masterPlaylists = getMasterPlaylists();
+      for (let id in masterPlaylists) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = masterPlaylists[id].name;
+        option.style.color = "black";
+        masterSelect.appendChild(option);
+      }
+    }
+    populateMasterSelect();
+    if (masterSelect.value) currentMasterId = masterSelect.value;
+
+    // Keep the select in sync when another tab edits master playlists
+    onStorageChanged((key) => {
+      if (key !== MASTER_PLAYLIST_KEY) return;
+      populateMasterSelect();
+      if (currentMasterId) masterSelect.value = currentMasterId;
+    });
+
+    // Retrieve current master id from localStorage (if set) and update masterSelect
+    const storedMasterId = sessionStorage.getItem('tm_current_master_id') || localStorage.getItem('tm_current_master_id');
+    if (storedMasterId) {
+      currentMasterId = storedMasterId;
+      masterSelect.value = storedMasterId;
+    }
+
+    // "New" button
+    const newButton = document.createElement("button");
+    newButton.textContent = "New";
+    newButton.type = "button";
+    newButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(newButton);
+
+    // "Edit" button
+    const editButton = document.createElement("button");
+    editButton.textContent = "Edit";
+    editButton.type = "button";
+    editButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(editButton);
+
+    // "Keys" button
+    const keysButton = document.createElement("button");
+    keysButton.textContent = "Keys";
+    keysButton.type = "button";
+    keysButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(keysButton);
+
+    // "Settings" button
+    const settingsButton = document.createElement("button");
+    settingsButton.textContent = "Settings";
+    settingsButton.type = "button";
+    settingsButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(settingsButton);
+
+    // "Backup" button
+    const backupButton = document.createElement("button");
+    backupButton.textContent = "Backup";
+    backupButton.type = "button";
+    backupButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(backupButton);
+
+    // "Prev" button
+    const prevButton = document.createElement("button");
+    prevButton.textContent = "❘◀";
+    prevButton.type = "button";
+    prevButton.style.cssText = btnStyle + "margin-left: 1.5rem;";
+    wrapperDiv.appendChild(prevButton);
+
+    // "Next" button
+    const nextButton = document.createElement("button");
+    nextButton.textContent = "▶❘";
+    nextButton.type = "button";
+    nextButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(nextButton);
+
+    // "Favorite" button, toggles the current video in the favorites of the master playlist
+    const favoriteButton = document.createElement("button");
+    favoriteButton.textContent = "☆";
+    favoriteButton.title = "Favorite this video";
+    favoriteButton.type = "button";
+    favoriteButton.style.cssText = btnStyle + "margin-left: 1rem;";
+    wrapperDiv.appendChild(favoriteButton);
+
+    // "Block" button, leaves the current video out of the master playlist and moves on
+    const blockButton = document.createElement("button");
+    blockButton.textContent = "⊘";
+    blockButton.title = "Block this video";
+    blockButton.type = "button";
+    blockButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(blockButton);
+
+    // "Search" button
+    const searchButton = document.createElement("button");
+    searchButton.textContent = "Search";
+    searchButton.title = "Search the master playlist (Ctrl+Shift+F)";
+    searchButton.type = "button";
+    searchButton.style.cssText = btnStyle + "margin-left: 1rem;";
+    wrapperDiv.appendChild(searchButton);
+
+    // "Queue" button, shows or hides the queue panel
+    const queueButton = document.createElement("button");
+    queueButton.textContent = "Queue";
+    queueButton.type = "button";
+    queueButton.style.cssText = btnStyle;
+    wrapperDiv.appendChild(queueButton);
+
+    // Remaining API quota of today
+    const quotaSpan = document.createElement("span");
+    quotaSpan.style.cssText = spanStyle + "margin-left: 1rem; pointer-events: all;";
+    quotaSpan.title = "YouTube API quota left today, resets at midnight Pacific Time";
+    wrapperDiv.appendChild(quotaSpan);
+    const updateQuotaSpan = () => {
+      quotaSpan.textContent = `Quota ${getRemainingQuota()}/${getQuotaBudget()}`;
+    };
+    updateQuotaSpan();
+    onQuotaChanged(updateQuotaSpan);
+    window.addEventListener("storage", (e) => {
+      if (e.key === QUOTA_USAGE_KEY || e.key === API_KEYS_KEY) notifyQuotaListeners();
+    });
+    // Catch the reset at midnight Pacific Time
+    setInterval(updateQuotaSpan, 60 * 1000);
+
+    // When the master playlist select changes…
+    // Refresh of the previously selected master playlist is cancelled when switching
+    let masterRefreshController = null;
+    masterSelect.addEventListener('change', async (e) => {
+      const selected = masterSelect.value;
+      currentMasterId = selected;
+      localStorage.setItem('tm_current_master_id', selected);
+      sessionStorage.setItem('tm_current_master_id', selected);
+      const masterPlaylists = getMasterPlaylists();
+      const masterPlaylist = masterPlaylists[currentMasterId];
+      if (masterPlaylist) {
+        manualEnable();
+        masterRefreshController?.abort();
+        const controller = new AbortController();
+        masterRefreshController = controller;
+        try {
+          await refreshMasterPlaylist(masterPlaylist, { signal: controller.signal });
+        } catch (e) {
+          if (!controller.signal.aborted) throw e;
+        }
+      }
+    });
+
+    newButton.addEventListener("click", () => {
+      openEditModal(null, true); // open modal to add a new master playlist
+      manualEnable();
+    });
+
+    // --------- MODAL ----------
+    // Creates an empty modal, the caller fills modalContent and removes modalOverlay from the body to close it
+    function createModal() {
+      // Create modal overlay
+      const modalOverlay = document.createElement("div");
+      modalOverlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0,0,0,0.5);
+        z-index: 1000000;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+      `;
+      // Modal content container
+      const modalContent = document.createElement("div");
+      modalContent.style.cssText = `
+        background: #333;
+        padding: 2rem;
+        border-radius: 0.5rem;
+        max-width: 40rem;
+        width: 90%;
+        color: white;
+        font-family: Arial, sans-serif;
+        font-size: 1.4rem;
+        line-height: 1.2;
+        position: relative;
+      `;
+      modalOverlay.appendChild(modalContent);
+      document.body.appendChild(modalOverlay);
+
+      return { modalOverlay, modalContent };
+    }
+
+    const modalTitleStyle = `
+      margin-top: 1rem;
+      margin-bottom: 1.3rem;
+      font-weight: bold;
+      font-size: 1.8rem;
+    `;
+
+    function downloadFile(fileName, text, type) {
+      const blob = new Blob([text], { type });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(a.href);
+    }
+
+    // Shows the errors of a validation, the first ones only when there are many
+    function alertErrors(title, errors) {
+      const shown = errors.slice(0, 20).join("\n");
+      const more = errors.length > 20 ? `\n…and ${errors.length - 20} more` : "";
+      alert(`${title}:\n${shown}${more}`);
+    }
+
+    const IMPORT_MODE_MERGE = "merge";
+    const IMPORT_MODE_REPLACE = "replace";
+    const IMPORT_MODE_NEW = "new";
+
+    /**
+     * Asks how to import a master playlist into the one being edited.
+     * @returns {Promise<string|null>} - One of IMPORT_MODE_*, null if cancelled.
+     */
+    function chooseImportMode(imported, masterPlaylist) {
+      return new Promise((resolve) => {
+        const { modalOverlay, modalContent } = createModal();
+
+        const titleDiv = document.createElement("div");
+        titleDiv.textContent = `Import ${imported.name}`;
+        titleDiv.style.cssText = modalTitleStyle;
+        modalContent.appendChild(titleDiv);
+
+        const infoDiv = document.createElement("div");
+        infoDiv.textContent = `${imported.subPlaylists.length} playlists/channels, ` +
+          `${(imported.filters || []).length} filters, ${(imported.blocked || []).length} blocked ` +
+          `and ${(imported.favorites || []).length} favorite videos`;
+        infoDiv.style.cssText = `
+          font-size: 1rem;
+          opacity: 0.6;
+          margin-bottom: 1rem;
+        `;
+        modalContent.appendChild(infoDiv);
+
+        const buttons = document.createElement("div");
+        buttons.style.cssText = `
+          display: flex;
+          flex-wrap: wrap;
+          gap: .25rem;
+        `;
+        modalContent.appendChild(buttons);
+
+        const choices = [
+          [IMPORT_MODE_MERGE, `Merge into ${masterPlaylist.name}`],
+          [IMPORT_MODE_REPLACE, `Replace ${masterPlaylist.name}`],
+          [IMPORT_MODE_NEW, "Import as new master"],
+          [null, "Cancel"],
+        ];
+        for (const [mode, label] of choices) {
+          const btn = document.createElement("button");
+          btn.textContent = label;
+          btn.style.cssText = btnStyle + (mode === IMPORT_MODE_REPLACE ? "background: red;" : "");
+          btn.addEventListener('click', () => {
+            document.body.removeChild(modalOverlay);
+            resolve(mode);
+          });
+          buttons.appendChild(btn);
+        }
+      });
+    }
+
+    // --------- EDIT MODAL (for managing a master playlist) ----------
+    async function openEditModal(masterId, isNew) {
+      const { modalOverlay, modalContent } = createModal();
+
+      // Get or create the master playlist object
+      let masterPlaylists = getMasterPlaylists();
+      let masterPlaylist;
+      if (masterId && masterPlaylists[masterId]) {
+        masterPlaylist = masterPlaylists[masterId];
+      } else {
+        masterPlaylist = {
+          name: "New Master Playlist",
+          subPlaylists: [],
+          shuffleAlgorithm: DEFAULT_SHUFFLE_ALGORITHM
+        };
+        masterId = 'mp_' + Date.now();
+        masterPlaylists[masterId] = masterPlaylist;
+        saveMasterPlaylists(masterPlaylists);
+        currentMasterId = masterId;
+        populateMasterSelect();
+        masterSelect.value = masterId;
+      }
+
+      // Title (double–click to edit)
+      const titleDiv = document.createElement("div");
+      const titleDivStyle = `
+        margin-top: 1rem;
+        margin-bottom: 1.3rem;
+        font-weight: bold;
+        font-size: 1.8rem;
+        padding: 0;
+        border: none;
+        appearance: none;
+        width: 100%;
+        box-sizing: border-box;
+        outline: none;
+      `;
+      titleDiv.textContent = masterPlaylist.name;
+      titleDiv.style.cssText = titleDivStyle + 'cursor: pointer;';
+      modalContent.appendChild(titleDiv);
+
+      const ondbclick = () => {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = masterPlaylist.name;
+        input.style.cssText = titleDivStyle;
+        modalContent.replaceChild(input, titleDiv);
+        input.focus();
+        const changeName = () => {
+          if (input.value.trim() !== "") {
+            masterPlaylist.name = input.value.trim();
+            masterPlaylists[masterId] = masterPlaylist;
+            saveMasterPlaylists(masterPlaylists);
+            titleDiv.textContent = masterPlaylist.name;
+            modalContent.replaceChild(titleDiv, input);
+            populateMasterSelect();
+            masterSelect.value = masterId;
+          }
+        };
+        input.addEventListener('blur', changeName);
+        input.addEventListener('keypress', (e) => {
+          if (e.key === 'Enter') {
+            changeName();
+          }
+        });
+      };
+      titleDiv.addEventListener(/*'dblclick'*/'click', ondbclick);
+      if (isNew) ondbclick();
+
+      // List of sub–playlists in this master playlist
+      const listContainer = document.createElement("div");
+      listContainer.style.cssText = `
+        overflow-y: auto;
+        max-height: 20rem;
+        user-select: none;
+        cursor: move;
+        position: relative;
+      `;
+      modalContent.appendChild(listContainer);
+
+      // Drag to move list implementation
+      let dragHandleLongpress;
+      {
+        let timeout = null;
+        let startX, startY;
+        const dragTime = 300;
+        const dragDiv = document.createElement("div");
+        dragDiv.style.cssText = `
+          position: absolute;
+          background: #333;
+          pointer-events: none;
+          opacity: 0.85;
+          box-shadow: 0 0 0 0.3rem #333, 0 0 0 0.6rem #eee;
+        `;
+        let lastClosestIdx = null;
+        let newOrder = null;
+        let originalDivs = null;
+        let originalDraggedIdx = null;
+        dragHandleLongpress = (itemDiv, ev) => {
+          clearTimeout(timeout);
+
+          startX = ev.clientX;
+          startY = ev.clientY;
+          const modalRect = modalContent.getBoundingClientRect();
+          const rect = itemDiv.getBoundingClientRect();
+          dragDiv.style.transform = `translate(
+            ${-startX + (rect.left - modalRect.left)}px,
+            ${-startY + (rect.top - modalRect.top)}px)`;
+          dragDiv.style.top = startY + "px";
+          dragDiv.style.left = startX + "px";
+          dragDiv.style.width = rect.width + "px";
+          timeout = setTimeout(() => {
+            dragDiv.innerHTML = itemDiv.outerHTML;
+            dragDiv.querySelectorAll("button").forEach(el => el.remove());
+            dragDiv.querySelector("& > div").style.margin = "0";
+            modalContent.appendChild(dragDiv);
+            lastClosestIdx = null;
+            originalDivs = Array.from(listContainer.querySelectorAll("& > div"));
+            originalDraggedIdx = originalDivs.findIndex(a => a === itemDiv);
+            itemDiv.style.opacity = 0;
+          }, dragTime);
+        };
+        modalContent.addEventListener("pointermove", throttle((ev) => {
+          if (false === modalContent.contains(dragDiv)) {
+            if ((startX && Math.abs(startX - ev.clientX) > 5) ||
+              (startY && Math.abs(startY - ev.clientY) > 5)) {
+              startX = null;
+              startY = null;
+              clearTimeout(timeout);
+            }
+          } else {
+            dragDiv.style.top = ev.clientY + "px";
+            dragDiv.style.left = ev.clientX + "px";
+            const ci = getClosestDivIndex(dragDiv, Array.from(listContainer.querySelectorAll("& > div")));
+            if (ci !== lastClosestIdx) {
+              lastClosestIdx = ci;
+              newOrder = originalDivs.slice();
+              const [spliced] = newOrder.splice(originalDraggedIdx, 1);
+              newOrder.splice(ci, 0, spliced);
+              newOrder.forEach(el => listContainer.appendChild(el));
+            }
+          }
+        }, 10));
+        modalContent.addEventListener("pointerup", () => {
+          startX = null;
+          startY = null;
+          clearTimeout(timeout);
+          if (modalContent.contains(dragDiv)) {
+            modalContent.removeChild(dragDiv);
+
+            const newSubPlaylists = newOrder
+              .forEach(itemDiv => itemDiv.style.opacity = "")
+              .map(itemDiv => itemDiv.getAttribute("data-id"))
+              .map(id => masterPlaylist.subPlaylists.find(sub => sub.id === id))
+              .filter(Boolean);
+            if (newSubPlaylists.length !== masterPlaylist.subPlaylists.length) {
+              logError(`Failed to reorder the playlist`, { showAlert: true, throwError: true });
+            }
+
+            masterPlaylist.subPlaylists = newSubPlaylists;
+            masterPlaylists[masterId] = masterPlaylist;
+            saveMasterPlaylists(masterPlaylists);
+          }
+        });
+      }
+
+      async function refreshSubPlaylistList() {
+        listContainer.innerHTML = "";
+        const weights = getSubPlaylistWeights(masterPlaylist);
+        const totalWeight = weights ? [...weights.values()].reduce((sum, w) => sum + w, 0) : 0;
+        const seriesProgress = await getSeriesProgress(masterId);
+        const mapping = masterPlaylist.subPlaylists.some(sub => sub.sequential)
+          ? await getVideoMapping(masterPlaylist)
+          : [];
+        for (let sub of masterPlaylist.subPlaylists) {
+          const itemDiv = document.createElement("div");
+          itemDiv.setAttribute("data-id", sub.id);
+          itemDiv.style.marginBottom = "1rem";
+          itemDiv.style.display = "flex";
+          itemDiv.style.alignItems = "center";
+          // Get video count from cache (or placeholder "..." if not available)
+          let videoInfos;
+          if (sub.type === 'channel') {
+            videoInfos = await getCachedChannelPlaylist(sub.id);
+          } else {
+            videoInfos = await getCachedSubPlaylist(sub.id);
+          }
+          const itemDivLeft = document.createElement("div");
+          const itemDivRight = document.createElement("div");
+          itemDiv.appendChild(itemDivLeft);
+          itemDiv.appendChild(itemDivRight);
+          itemDivLeft.style.flex = "1";
+          const count = videoInfos.length;
+          const nameDiv = document.createElement("div");
+          const nameA = document.createElement("a");
+          nameA.textContent = sub.title;
+          nameA.style.cssText = `
+            color: inherit;
+          `;
+          nameDiv.appendChild(nameA);
+          if (sub.url) {
+            nameA.href = sub.url;
+          }
+          itemDivLeft.appendChild(nameDiv);
+          const infoDiv = document.createElement("div");
+          infoDiv.textContent = `${sub.id} - ${count} videos`;
+          if (weights && totalWeight > 0) {
+            infoDiv.textContent += ` - ${Math.round(weights.get(sub.id) / totalWeight * 100)}% of shuffle until its videos run out`;
+          }
+          if (sub.sequential) {
+            const episodes = getEpisodes(mapping, sub);
+            const position = episodes.findIndex(a => a.id === seriesProgress[sub.id]) + 1;
+            infoDiv.textContent += ` - ${position}/${episodes.length} played in order`;
+          }
+          infoDiv.style.fontSize = "1rem";
+          infoDiv.style.opacity = "0.6";
+          itemDivLeft.appendChild(infoDiv);
+          // Sequential flag, for series that must be watched in order
+          const sequentialLabel = document.createElement("label");
+          sequentialLabel.title = "Play the videos from the oldest while shuffling";
+          sequentialLabel.style.cssText = `
+            font-size: 1rem;
+            margin-right: .5rem;
+            user-select: none;
+          `;
+          const sequentialCheck = document.createElement("input");
+          sequentialCheck.type = "checkbox";
+          sequentialCheck.checked = sub.sequential === true;
+          sequentialCheck.addEventListener('change', () => {
+            if (sequentialCheck.checked) {
+              sub.sequential = true;
+            } else {
+              delete sub.sequential;
+            }
+            masterPlaylists[masterId] = masterPlaylist;
+            saveMasterPlaylists(masterPlaylists);
+            refreshSubPlaylistList();
+          });
+          sequentialLabel.appendChild(sequentialCheck);
+          sequentialLabel.appendChild(document.createTextNode(" In order"));
+          itemDivRight.appendChild(sequentialLabel);
+          // Weight in shuffle, empty for the default
+          const weightInput = document.createElement("input");
+          weightInput.type = "text";
+          weightInput.placeholder = "1";
+          weightInput.title = "Share in shuffle until its videos run out, 0 puts it after the others. " +
+            "A pass over the list still plays every video once, so a large playlist keeps most of the plays";
+          weightInput.value = sub.weight ?? "";
+          weightInput.style.cssText = `
+            outline: none;
+            appearance: none;
+            border: none;
+            padding: .3rem;
+            box-sizing: border-box;
+            margin-right: .5rem;
+            width: 3.5rem;
+          `;
+          weightInput.addEventListener('change', () => {
+            const value = weightInput.value.trim();
+            const weight = Number(value);
+            if (value === "") {
+              delete sub.weight;
+            } else if (Number.isFinite(weight) && weight >= 0 && weight <= 1000) {
+              sub.weight = weight;
+            } else {
+              alert("Weight must be a number between 0 and 1000.");
+              weightInput.value = sub.weight ?? "";
+              return;
+            }
+            masterPlaylists[masterId] = masterPlaylist;
+            saveMasterPlaylists(masterPlaylists);
+            refreshSubPlaylistList();
+          });
+          itemDivRight.appendChild(weightInput);
+          // Delete button for the sub–playlist
+          const delBtn = document.createElement("button");
+          delBtn.textContent = "×";
+          delBtn.style.cssText = btnStyle + `
+            line-height: 0;
+            border-radius: 0.9rem;
+            padding: 0;
+            font-size: 1.5rem;
+            width: 1.8rem;
+            height: 1.8rem;
+            box-sizing: border-box;
+          `;
+          delBtn.addEventListener('click', () => {
+            if (confirm(`Remove ${sub.title}?`)) {
+              masterPlaylist.subPlaylists = masterPlaylist.subPlaylists.filter(x => x.id !== sub.id);
+              masterPlaylists[masterId] = masterPlaylist;
+              saveMasterPlaylists(masterPlaylists);
+              // Remove cache if no other master playlist uses this sub–playlist
+              let stillReferenced = false;
+              for (let mpId in masterPlaylists) {
+                if (masterPlaylists[mpId].subPlaylists.some(x => x.id === sub.id)) {
+                  stillReferenced = true;
+                  break;
+                }
+              }
+              if (!stillReferenced) {
+                if (sub.type === 'channel') {
+                  removeCachedData('tm_sub_playlist_channel_' + sub.id);
+                } else {
+                  removeCachedData('tm_sub_playlist_' + sub.id);
+                }
+              }
+              refreshSubPlaylistList();
+            }
+          });
+          itemDivRight.appendChild(delBtn);
+          listContainer.appendChild(itemDiv);
+
+          // Drag to move implementation
+          itemDiv.addEventListener("pointerdown", (ev) => {
+            if (ev.target.closest("a") || ev.target.closest("button") || ev.target.closest("input") ||
+              ev.target.closest("label")) return;
+
+            dragHandleLongpress(itemDiv, ev);
+          });
+        }
+      }
+
+      // Append log info for async log update
+      modalContent.appendChild(logInfoDiv);
+      logInfoDiv.style.cssText = `
+        background: #555;
+        font-size: 0.9rem;
+        text-align: center;
+        padding: 0.5rem 1rem;
+        margin-bottom: 0.7rem;
+        border-radius: 0.7rem;
+      `;
+      logInfo(null);
+      await refreshSubPlaylistList();
+      if (listContainer.scrollHeight > listContainer.clientHeight) {
+        listContainer.style.paddingRight = "0.5rem";
+      }
+
+      // Input to add a new sub–playlist (accepts URL only)
+      const newPlaylistInput = document.createElement("input");
+      newPlaylistInput.type = "text";
+      newPlaylistInput.placeholder = "Enter URL (playlist or channel)";
+      newPlaylistInput.style.cssText = `
+        margin-top: 1rem;
+        width: 100%;
+        outline: none;
+        appearance: none;
+        border: none;
+        padding: .3rem;
+        box-sizing: border-box;
+      `;
+      modalContent.appendChild(newPlaylistInput);
+
+      // Rule builder for the filters of the master playlist
+      const filterDiv = document.createElement("div");
+      filterDiv.style.cssText = `
+        margin-top: 1rem;
+        font-size: 1rem;
+      `;
+
+      const filterList = document.createElement("div");
+      filterDiv.appendChild(filterList);
+
+      function refreshFilterList() {
+        filterList.replaceChildren();
+        for (const rule of masterPlaylist.filters || []) {
+          const ruleDiv = document.createElement("div");
+          ruleDiv.style.cssText = `
+            display: flex;
+            align-items: center;
+            margin-bottom: .3rem;
+          `;
+          const ruleSpan = document.createElement("span");
+          ruleSpan.textContent = describeFilterRule(rule);
+          ruleSpan.style.flex = "1";
+          ruleDiv.appendChild(ruleSpan);
+
+          const delBtn = document.createElement("button");
+          delBtn.textContent = "×";
+          delBtn.style.cssText = btnStyle + `
+            line-height: 0;
+            border-radius: 0.7rem;
+            padding: 0;
+            font-size: 1.2rem;
+            width: 1.4rem;
+            height: 1.4rem;
+            box-sizing: border-box;
+          `;
+          delBtn.addEventListener('click', () => {
+            masterPlaylist.filters = masterPlaylist.filters.filter(a => a !== rule);
+            masterPlaylists[masterId] = masterPlaylist;
+            saveMasterPlaylists(masterPlaylists);
+            refreshFilterList();
+          });
+          ruleDiv.appendChild(delBtn);
+          filterList.appendChild(ruleDiv);
+        }
+      }
+      refreshFilterList();
+
+      const addFilterDiv = document.createElement("div");
+      addFilterDiv.style.cssText = `
+        display: flex;
+        align-items: center;
+      `;
+      filterDiv.appendChild(addFilterDiv);
+
+      const filterTypeSelect = document.createElement("select");
+      filterTypeSelect.style.cssText = btnStyle + `
+        font-size: 0.9rem;
+        padding: 0.3rem 0.6rem;
+      `;
+      const filterTypePlaceholder = document.createElement("option");
+      filterTypePlaceholder.value = "";
+      filterTypePlaceholder.textContent = "Add filter…";
+      filterTypePlaceholder.style.color = "black";
+      filterTypeSelect.appendChild(filterTypePlaceholder);
+      for (const type in FILTER_RULE_TYPES) {
+        const option = document.createElement("option");
+        option.value = type;
+        option.textContent = FILTER_RULE_TYPES[type].label;
+        option.style.color = "black";
+        filterTypeSelect.appendChild(option);
+      }
+      addFilterDiv.appendChild(filterTypeSelect);
+
+      const filterParamsDiv = document.createElement("div");
+      filterParamsDiv.style.cssText = `
+        display: flex;
+        flex: 1;
+      `;
+      addFilterDiv.appendChild(filterParamsDiv);
+
+      const addFilterBtn = document.createElement("button");
+      addFilterBtn.textContent = "Add";
+      addFilterBtn.style.cssText = btnStyle + `
+        font-size: 0.9rem;
+        padding: 0.3rem 0.6rem;
+      `;
+      addFilterDiv.appendChild(addFilterBtn);
+
+      // Param name => input of the selected type
+      let filterParamInputs = {};
+      filterTypeSelect.addEventListener('change', () => {
+        filterParamsDiv.replaceChildren();
+        filterParamInputs = {};
+        for (const param of FILTER_RULE_TYPES[filterTypeSelect.value]?.params ?? []) {
+          const input = document.createElement("input");
+          input.type = param.kind === "date" ? "date" : "text";
+          input.placeholder = param.label;
+          input.style.cssText = `
+            outline: none;
+            appearance: none;
+            border: none;
+            padding: .3rem;
+            box-sizing: border-box;
+            margin-right: .25rem;
+            min-width: 0;
+            flex: 1;
+          `;
+          filterParamsDiv.appendChild(input);
+          filterParamInputs[param.name] = input;
+        }
+      });
+
+      addFilterBtn.addEventListener('click', () => {
+        if (!filterTypeSelect.value) return;
+        const rule = { type: filterTypeSelect.value };
+        for (const name in filterParamInputs) rule[name] = filterParamInputs[name].value;
+        let valid;
+        try {
+          valid = validateFilterRule(rule);
+        } catch (e) {
+          alert(e.message);
+          return;
+        }
+        masterPlaylist.filters = [...(masterPlaylist.filters || []), valid];
+        masterPlaylists[masterId] = masterPlaylist;
+        saveMasterPlaylists(masterPlaylists);
+        refreshFilterList();
+        filterTypeSelect.value = "";
+        filterTypeSelect.dispatchEvent(new Event("change"));
+      });
+
+      const urlFormatDiv = document.createElement("div");
+      urlFormatDiv.style.cssText = `
+        margin-top: .25rem;
+        color: #aaa;
+        padding-left: 0.3rem;
+        font-size: 0.9rem;
+      `;
+      urlFormatDiv.innerHTML = `
+      https://www.youtube.com/playlist?list={playlist_id}<br>
+      https://www.youtube.com/@channel/streams<br>
+      https://www.youtube.com/@channel/videos<br>
+      https://www.youtube.com/@channel
+      `;
+      modalContent.appendChild(urlFormatDiv);
+      // Below the help of newPlaylistInput
+      modalContent.appendChild(filterDiv);
+
+      // Add subplaylist
+      const ADD_SUB_OK = true;
+      const ADD_SUB_INVALID_ARG = -1;
+      const ADD_SUB_ALREADY_EXISTS = -2;
+      async function addSubPlaylist({ id, type, title, url } = {}) {
+        if (!id || !type || !title || !url) return ADD_SUB_INVALID_ARG;
+
+        // Push if not found, update if found
+        const sub = masterPlaylist.subPlaylists.find(x => x.id === id);
+        if (!sub) {
+          masterPlaylist.subPlaylists.push({ id, title, type, url });
+          masterPlaylists[masterId] = masterPlaylist;
+          saveMasterPlaylists(masterPlaylists);
+          // No always-renew cache
+          if (type === 'channel') {
+            await getCachedChannelPlaylist(id);
+          } else {
+            // type === 'playlist'
+            await getCachedSubPlaylist(id);
+          }
+          await refreshSubPlaylistList();
+
+          return ADD_SUB_OK;
+        } else {
+          sub.title = title;
+          sub.url = url;
+          masterPlaylists[masterId] = masterPlaylist;
+          saveMasterPlaylists(masterPlaylists);
+
+          // Update listContainer
+          const a = listContainer.querySelector(`[data-id="${sub.id}"] a`);
+          if (a) {
+            a.textContent = sub.title;
+            a.href = sub.url;
+          }
+
+          return ADD_SUB_ALREADY_EXISTS;
+        }
+      }
+
+      // Import
+      const IMPORT_OK = "ok";
+      const IMPORT_NOT_EXPORT = "not-export"; // The text is not export data at all
+      const IMPORT_REJECTED = "rejected"; // Invalid export data or cancelled, the user has been told or has chosen
+
+      // Returns one of the IMPORT_ values above
+      async function tryImport(text) {
+        const parsed = parseMasterExport(text);
+        if (!parsed) return IMPORT_NOT_EXPORT;
+
+        if (parsed.errors.length > 0) {
+          alertErrors("Invalid master playlist data", parsed.errors);
+          return IMPORT_REJECTED;
+        }
+        const imported = parsed.master;
+
+        const mode = await chooseImportMode(imported, masterPlaylist);
+        if (mode === null) return IMPORT_REJECTED;
+        if (mode === IMPORT_MODE_NEW) {
+          const newId = 'mp_' + Date.now();
+          masterPlaylists = getMasterPlaylists();
+          masterPlaylists[newId] = imported;
+          saveMasterPlaylists(masterPlaylists);
+          refreshMasterPlaylist(imported);
+          document.body.removeChild(modalOverlay);
+          currentMasterId = newId;
+          populateMasterSelect();
+          masterSelect.value = newId;
+          openEditModal(newId, false);
+
+        } else if (mode === IMPORT_MODE_REPLACE) {
+          for (const key of Object.keys(masterPlaylist)) delete masterPlaylist[key];
+          Object.assign(masterPlaylist, imported);
+          masterPlaylists[masterId] = masterPlaylist;
+          saveMasterPlaylists(masterPlaylists);
+          populateMasterSelect();
+          masterSelect.value = currentMasterId;
+          refreshMasterPlaylist(masterPlaylist);
+          // Reopen to show every option of the replaced master
+          document.body.removeChild(modalOverlay);
+          openEditModal(masterId, false);
+
+        } else if (mode === IMPORT_MODE_MERGE) {
+          // Change name if the current master is empty
+          if (masterPlaylist.subPlaylists.length === 0) {
+            masterPlaylist.name = imported.name;
+            titleDiv.textContent = masterPlaylist.name;
+          }
+
+          for (const sub of imported.subPlaylists) {
+            const res = await addSubPlaylist(sub);
+            if (res === ADD_SUB_INVALID_ARG) {
+              logError(`Failed to add subplaylist: "${JSON.stringify(sub)}"`, { showAlert: true });
+            }
+          }
+
+          // Rules and videos that the master does not have yet
+          for (const name of ['filters', 'blocked', 'favorites']) {
+            const current = masterPlaylist[name] || [];
+            for (const item of imported[name] || []) {
+              const same = name === 'filters'
+                ? a => JSON.stringify(a) === JSON.stringify(item)
+                : a => a.id === item.id;
+              if (!current.some(same)) current.push(item);
+            }
+            if (current.length > 0) masterPlaylist[name] = current;
+          }
+          masterPlaylists[masterId] = masterPlaylist;
+          saveMasterPlaylists(masterPlaylists);
+          populateMasterSelect();
+          masterSelect.value = currentMasterId;
+          refreshFilterList();
+        }
+
+        return IMPORT_OK;
+      }
+
+      // Drag to import
+      modalOverlay.addEventListener("dragover", (event) => event.preventDefault());
+      modalOverlay.addEventListener("drop", async (event) => {
+        event.preventDefault(); // Prevent default behavior (open in a new tab)
+        event.stopPropagation(); // Stop further event bubbling
+
+        const items = event.dataTransfer.items; // Get dropped items
+
+        if (!items) return;
+
+        // Files are taken out first, as the items are emptied once the handler awaits
+        const files = [];
+        for (const item of items) {
+          if (item.kind === "string") {
+            item.getAsString((text) => {
+              tryImport(text);
+            });
+            return;
+          } else if (item.kind === "file") {
+            const file = item.getAsFile();
+            if (file) files.push(file);
+          }
+        }
+
+        // Takeout files are listed together
+        const found = [];
+        for (const file of files) {
+          const text = await file.text();
+          const subs = file.name.toLowerCase().endsWith(".csv") ? parseTakeoutCsv(text) : null;
+          if (subs) {
+            found.push(...subs.filter(sub => !found.some(a => a.id === sub.id)));
+          } else if (await tryImport(text) === IMPORT_NOT_EXPORT) {
+            alert(`${file.name} is neither a master playlist export nor a Google Takeout file.`);
+          }
+        }
+        if (found.length > 0) openTakeoutModal(found);
+      });
+
+      // Checklist of the channels and playlists found in Takeout files, the checked ones are validated and added
+      function openTakeoutModal(found) {
+        const { modalOverlay, modalContent } = createModal();
+        const candidates = found.filter(sub => !masterPlaylist.subPlaylists.some(a => a.id === sub.id));
+
+        const titleDiv = document.createElement("div");
+        titleDiv.textContent = "Import from Google Takeout";
+        titleDiv.style.cssText = modalTitleStyle;
+        modalContent.appendChild(titleDiv);
+
+        const channelCount = candidates.filter(sub => sub.type === 'channel').length;
+        const infoDiv = document.createElement("div");
+        infoDiv.textContent = `${channelCount} channels and ${candidates.length - channelCount} playlists found` +
+          (found.length > candidates.length ? `, ${found.length - candidates.length} already added` : "");
+        infoDiv.style.cssText = `
+          font-size: 1rem;
+          opacity: 0.6;
+          margin-bottom: 1rem;
+        `;
+        modalContent.appendChild(infoDiv);
+
+        const rowStyle = `
+          display: flex;
+          align-items: center;
+          padding: .25rem 0;
+          user-select: none;
+        `;
+        const allLabel = document.createElement("label");
+        allLabel.style.cssText = rowStyle + "font-size: 1rem;";
+        const allCheck = document.createElement("input");
+        allCheck.type = "checkbox";
+        allCheck.checked = true;
+        allCheck.style.marginRight = ".5rem";
+        allLabel.appendChild(allCheck);
+        allLabel.appendChild(document.createTextNode("Select all"));
+        modalContent.appendChild(allLabel);
+
+        const listContainer = document.createElement("div");
+        listContainer.style.cssText = `
+          overflow-y: auto;
+          max-height: 30rem;
+        `;
+        modalContent.appendChild(listContainer);
+
+        const checks = [];
+        for (const sub of candidates) {
+          const itemLabel = document.createElement("label");
+          itemLabel.style.cssText = rowStyle + "border-bottom: 1px solid #fff3;";
+          const check = document.createElement("input");
+          check.type = "checkbox";
+          check.checked = true;
+          check.style.marginRight = ".5rem";
+          itemLabel.appendChild(check);
+          const titleSpan = document.createElement("span");
+          titleSpan.textContent = sub.title;
+          titleSpan.style.flex = "1";
+          itemLabel.appendChild(titleSpan);
+          const typeSpan = document.createElement("span");
+          typeSpan.textContent = sub.type === 'channel' ? "Channel" : "Playlist";
+          typeSpan.style.cssText = `
+            font-size: 1rem;
+            opacity: 0.6;
+          `;
+          itemLabel.appendChild(typeSpan);
+          listContainer.appendChild(itemLabel);
+          checks.push(check);
+        }
+        allCheck.addEventListener("change", () => {
+          checks.forEach(check => check.checked = allCheck.checked);
+        });
+
+        const buttons = document.createElement("div");
+        buttons.style.cssText = `
+          display: flex;
+          margin-top: 1rem;
+        `;
+        modalContent.appendChild(buttons);
+
+        // Spacer
+        const buttonsSpacer = document.createElement("div");
+        buttonsSpacer.style.flex = "1";
+        buttons.appendChild(buttonsSpacer);
+
+        const cancelBtn = document.createElement("button");
+        cancelBtn.textContent = "Cancel";
+        cancelBtn.style.cssText = btnStyle;
+        cancelBtn.addEventListener('click', () => {
+          document.body.removeChild(modalOverlay);
+        });
+        buttons.appendChild(cancelBtn);
+
+        const addBtn = document.createElement("button");
+        addBtn.textContent = "Add selected";
+        addBtn.style.cssText = btnStyle;
+        addBtn.addEventListener('click', async () => {
+          const selected = candidates.filter((sub, k) => checks[k].checked);
+          if (selected.length === 0) return;
+          addBtn.disabled = true;
+          cancelBtn.disabled = true;
+
+          const failed = [];
+          let added = 0;
+          try {
+            // Current titles of the ones that still exist
+            addBtn.textContent = "Validating…";
+            const titles = new Map();
+            const unchecked = new Map();
+            for (const type of ['channel', 'playlist']) {
+              const ids = selected.filter(sub => sub.type === type).map(sub => sub.id);
+              if (ids.length > 0) {
+                const result = await validateSubPlaylistIds(type, ids);
+                result.titles.forEach((title, id) => titles.set(id, title));
+                result.unchecked.forEach((message, id) => unchecked.set(id, message));
+              }
+            }
+
+            for (let k = 0; k < selected.length; k++) {
+              const sub = selected[k];
+              addBtn.textContent = `Adding ${k + 1}/${selected.length}…`;
+              const title = titles.get(sub.id);
+              if (unchecked.has(sub.id)) {
+                failed.push(`${sub.title}: could not validate (${unchecked.get(sub.id)})`);
+                continue;
+              }
+              if (!title) {
+                failed.push(`${sub.title}: no longer exists or is private`);
+                continue;
+              }
+              try {
+                if (await addSubPlaylist({ ...sub, title }) === ADD_SUB_INVALID_ARG) {
+                  failed.push(`${sub.title}: invalid entry`);
+                } else {
+                  added++;
+                }
+              } catch (e) {
+                // addSubPlaylist saves the sub before fetching its videos
+                logError(`Error adding ${sub.type} ${sub.id} e: ${e}`);
+                added++;
+                failed.push(`${sub.title}: added, but fetching its videos failed (${e.message ?? e})`);
+              }
+            }
+          } finally {
+            document.body.removeChild(modalOverlay);
+          }
+          if (failed.length > 0) {
+            alertErrors(`Added ${added} of ${selected.length}`, failed);
+          }
+        });
+        buttons.appendChild(addBtn);
+      }
+
+      let newPlaylistInputRunning = false;
+      newPlaylistInput.addEventListener('keypress', async (e) => {
+        if (e.key !== 'Enter') return;
+
+        if (newPlaylistInputRunning) {
+          alert("Already fetching data...");
+          return;
+        }
+        newPlaylistInputRunning = true;
+        try {
+          await (async () => {
+            const inputValRaw = newPlaylistInput.value.trim();
+            if (inputValRaw === "") return;
+            let urlObj;
+            try {
+              urlObj = new URL(inputValRaw);
+            } catch (err) {
+              const imported = await tryImport(inputValRaw);
+              if (imported === IMPORT_OK) {
+                newPlaylistInput.value = "";
+              } else if (imported === IMPORT_NOT_EXPORT) {
+                alert("Please enter a valid URL.");
+              }
+              return;
+            }
+            let id = null, type = null, title = null;
+            // Check for playlist URL first
+            if (urlObj.pathname.includes("playlist") && urlObj.searchParams.has("list")) {
+              id = urlObj.searchParams.get("list");
+              type = 'playlist';
+              title = await validatePlaylist(id);
+            } else if (urlObj.pathname.includes("/channel/")) {
+              // Extract channel id from URL (assuming URL like https://www.youtube.com/channel/CHANNEL_ID)
+              const parts = urlObj.pathname.split("/");
+              id = parts[parts.indexOf("channel") + 1];
+              type = 'channel';
+              title = await validateChannel(id);
+            } else if (urlObj.pathname.startsWith("/@")) {
+              const splits = urlObj.pathname.split("/");
+              const handle = splits[1].slice(1);
+              [id, title] = await validateChannelHandle(handle);
+
+              // Type
+              type = 'channel';
+              if (id && title && splits.length >= 3) {
+                if (splits[2] === "videos") {
+                  type = 'playlist';
+                  id = "UULF" + id.slice(2);
+                  title = `[Videos] ${title}`;
+                } else if (splits[2] === "streams") {
+                  type = 'playlist';
+                  id = "UULV" + id.slice(2);
+                  title = `[Live] ${title}`;
+                }
+              }
+
+              /** https://stackoverflow.com/questions/71192605/how-do-i-get-youtube-shorts-from-youtube-api-data-v3
+                prefix	contents
+                UULF	Videos
+                UULP	Popular videos
+                UULV	Live streams
+                UUMF	Members-only videos
+                UUMO	Members-only contents (videos, short videos and live streams)
+                UUMS	Members-only short videos
+                UUMV	Members-only live streams
+                UUPS	Popular short videos
+                UUPV	Popular live streams
+                UUSH	Short videos
+              */
+            }
+            if (!id || !type || !title) {
+              alert("Invalid URL or unable to validate the playlist/channel.");
+              return;
+            }
+
+            // Push if not found, update if found
+            const res = await addSubPlaylist({
+              id: id,
+              title: title,
+              type: type,
+              url: urlObj.toString()
+            });
+
+            if (res === ADD_SUB_ALREADY_EXISTS) {
+              alert("Playlist/Channel already added.");
+            }
+
+            newPlaylistInput.value = "";
+          })();
+        } finally {
+          newPlaylistInputRunning = false;
+        }
+
+      });
+
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        margin-top: 1rem;
+      `;
+      modalContent.appendChild(buttons);
+
+      // Red "Delete Master" button
+      const deleteMasterBtn = document.createElement("button");
+      deleteMasterBtn.textContent = "Delete Master";
+      deleteMasterBtn.style.cssText = btnStyle + "background: red; margin-right: .8rem;";
+      deleteMasterBtn.addEventListener('click', () => {
+        if (confirm(`Are you sure you want to delete ${masterPlaylist.name}?`)) {
+          delete masterPlaylists[masterId];
+          saveMasterPlaylists(masterPlaylists);
+          clearWatchHistory(masterId);
+          clearCycleState(masterId);
+          clearSeriesProgress(masterId);
+          if (currentMasterId === masterId) {
+            currentMasterId = null;
+          }
+          populateMasterSelect();
+          document.body.removeChild(modalOverlay);
+        }
+      });
+      buttons.appendChild(deleteMasterBtn);
+
+      // "Export" button to close the modal
+      const exportBtn = document.createElement("button");
+      exportBtn.textContent = "Export";
+      exportBtn.style.cssText = btnStyle;
+      exportBtn.addEventListener('click', () => {
+        let data = JSON.stringify(buildMasterExport(masterPlaylist), null, 2);
+        downloadFile(`masterPlaylist-${masterPlaylist.name}.json`, data, 'application/json');
+      });
+      buttons.appendChild(exportBtn);
+
+      // "Share" button, copies a link that carries the master playlist
+      const shareBtn = document.createElement("button");
+      shareBtn.textContent = "Share";
+      shareBtn.style.cssText = btnStyle;
+      shareBtn.addEventListener('click', () => copyShareLink(masterId, masterPlaylist));
+      buttons.appendChild(shareBtn);
+
+      // "Order" button, exports the play order of the current seed
+      const orderBtn = document.createElement("button");
+      orderBtn.textContent = "Order";
+      orderBtn.title = "Export the play order";
+      orderBtn.style.cssText = btnStyle;
+      orderBtn.addEventListener('click', () => openPlayOrderModal(masterId, masterPlaylist));
+      buttons.appendChild(orderBtn);
+
+      // "History" button
+      const historyBtn = document.createElement("button");
+      historyBtn.textContent = "History";
+      historyBtn.style.cssText = btnStyle;
+      historyBtn.addEventListener('click', () => {
+        openHistoryModal(masterId);
+      });
+      buttons.appendChild(historyBtn);
+
+      // "Lists" button for the blocked and favorite videos
+      const listsBtn = document.createElement("button");
+      listsBtn.textContent = "Lists";
+      listsBtn.style.cssText = btnStyle;
+      listsBtn.addEventListener('click', () => {
+        openVideoListsModal(masterId, () => {
+          // The lists are saved apart from the copy that this modal saves
+          const saved = getMasterPlaylists()[masterId];
+          for (const list of VIDEO_LISTS) masterPlaylist[list] = saved?.[list];
+        });
+      });
+      buttons.appendChild(listsBtn);
 
-    // When the master playlist select changes…
-    masterSelect.addEventListener('change', async (e) => {
-      const selected = masterSelect.value;
-      currentMasterId = selected;
-      localStorage.setItem('tm_current_master_id', selected);
-      sessionStorage.setItem('tm_current_master_id', selected);
-      const masterPlaylists = getMasterPlaylists();
-      const masterPlaylist = masterPlaylists[currentMasterId];
-      if (masterPlaylist) {
-        manualEnable();
-        await refreshMasterPlaylist(masterPlaylist);
-      }
-    });
+      // Spacer
+      const buttonsSpacer = document.createElement("div");
+      buttonsSpacer.style.flex = "1";
+      buttons.appendChild(buttonsSpacer);
 
-    newButton.addEventListener("click", () => {
-      openEditModal(null, true); // open modal to add a new master playlist
-      manualEnable();
-    });
+      // Shuffle algorithm, changing it changes the order of every seed
+      const algorithmSelect = document.createElement("select");
+      algorithmSelect.title = "Shuffle algorithm";
+      algorithmSelect.style.cssText = btnStyle + `
+        font-size: 0.9rem;
+        padding: 0.3rem 0.6rem;
+      `;
+      for (const id in SHUFFLE_ALGORITHMS) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = SHUFFLE_ALGORITHMS[id].label;
+        option.style.color = "black";
+        algorithmSelect.appendChild(option);
+      }
+      algorithmSelect.value = getShuffleAlgorithm(masterPlaylist);
+      algorithmSelect.addEventListener("change", () => {
+        masterPlaylist.shuffleAlgorithm = algorithmSelect.value;
+        masterPlaylists[masterId] = masterPlaylist;
+        saveMasterPlaylists(masterPlaylists);
+      });
+      buttons.appendChild(algorithmSelect);
 
-    // --------- EDIT MODAL (for managing a master playlist) ----------
-    async function openEditModal(masterId, isNew) {
-      // Create modal overlay
-      const modalOverlay = document.createElement("div");
-      modalOverlay.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0,0,0,0.5);
-        z-index: 1000000;
+      const aggregateDiv = document.createElement("div");
+      aggregateDiv.style.cssText = `
         display: flex;
-        justify-content: center;
         align-items: center;
+        font-size: 1rem;
+        margin-right: 1.2rem;
+        user-select: none;
       `;
-      // Modal content container
-      const modalContent = document.createElement("div");
-      modalContent.style.cssText = `
-        background: #333;
-        padding: 2rem;
-        border-radius: 0.5rem;
-        max-width: 40rem;
-        width: 90%;
-        color: white;
-        font-family: Arial, sans-serif;
-        font-size: 1.4rem;
-        line-height: 1.2;
-        position: relative;
-      `;
-      modalOverlay.appendChild(modalContent);
-      document.body.appendChild(modalOverlay);
+      const aggregateCheck = document.createElement("input");
+      aggregateCheck.type = "checkbox";
+      aggregateCheck.addEventListener("change", () => {
+        masterPlaylist.aggregate = aggregateCheck.checked;
+        // The orderings exclude each other
+        if (aggregateCheck.checked) {
+          masterPlaylist.interleave = false;
+          interleaveCheck.checked = false;
+        }
+        masterPlaylists[masterId] = masterPlaylist;
+        saveMasterPlaylists(masterPlaylists);
+      });
+      aggregateCheck.checked = masterPlaylist?.aggregate === true;
+      aggregateDiv.appendChild(aggregateCheck);
+      const aggregateSpan = document.createElement("span");
+      aggregateSpan.textContent = " Aggregate";
+      aggregateSpan.style.marginRight = ".8rem";
+      aggregateDiv.appendChild(aggregateSpan);
 
-      // Get or create the master playlist object
-      let masterPlaylists = getMasterPlaylists();
-      let masterPlaylist;
-      if (masterId && masterPlaylists[masterId]) {
-        masterPlaylist = masterPlaylists[masterId];
-      } else {
-        masterPlaylist = {
-          name: "New Master Playlist",
-          subPlaylists: []
-        };
-        masterId = 'mp_' + Date.now();
+      // Round-robin across the sub–playlists, so that series progress side by side
+      const interleaveCheck = document.createElement("input");
+      interleaveCheck.type = "checkbox";
+      interleaveCheck.addEventListener("change", () => {
+        masterPlaylist.interleave = interleaveCheck.checked;
+        if (interleaveCheck.checked) {
+          masterPlaylist.aggregate = false;
+          aggregateCheck.checked = false;
+        }
         masterPlaylists[masterId] = masterPlaylist;
         saveMasterPlaylists(masterPlaylists);
-        currentMasterId = masterId;
-        populateMasterSelect();
-        masterSelect.value = masterId;
+      });
+      interleaveCheck.checked = masterPlaylist?.interleave === true;
+      aggregateDiv.appendChild(interleaveCheck);
+      const interleaveSpan = document.createElement("span");
+      interleaveSpan.textContent = " Interleave";
+      aggregateDiv.appendChild(interleaveSpan);
+      buttons.appendChild(aggregateDiv);
+
+      // "Done" button to close the modal
+      const doneBtn = document.createElement("button");
+      doneBtn.textContent = "Done";
+      doneBtn.style.cssText = btnStyle;
+      doneBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(doneBtn);
+
+    }
+
+    editButton.addEventListener('click', () => {
+      if (currentMasterId) {
+        openEditModal(currentMasterId, false);
+      } else {
+        openEditModal(null, true);
       }
+    });
+
+    // --------- HISTORY PANEL ----------
+    const HISTORY_PANEL_SIZE = 200; // Most recent plays shown
+
+    async function openHistoryModal(masterId) {
+      const masterPlaylist = getMasterPlaylists()[masterId];
+      if (!masterPlaylist) return;
+
+      const { modalOverlay, modalContent } = createModal();
 
-      // Title (double–click to edit)
       const titleDiv = document.createElement("div");
-      const titleDivStyle = `
-        margin-top: 1rem;
-        margin-bottom: 1.3rem;
-        font-weight: bold;
-        font-size: 1.8rem;
-        padding: 0;
-        border: none;
-        appearance: none;
-        width: 100%;
-        box-sizing: border-box;
-        outline: none;
-      `;
-      titleDiv.textContent = masterPlaylist.name;
-      titleDiv.style.cssText = titleDivStyle + 'cursor: pointer;';
+      titleDiv.textContent = `History of ${masterPlaylist.name}`;
+      titleDiv.style.cssText = modalTitleStyle;
       modalContent.appendChild(titleDiv);
 
-      const ondbclick = () => {
-        const input = document.createElement("input");
-        input.type = "text";
-        input.value = masterPlaylist.name;
-        input.style.cssText = titleDivStyle;
-        modalContent.replaceChild(input, titleDiv);
-        input.focus();
-        const changeName = () => {
-          if (input.value.trim() !== "") {
-            masterPlaylist.name = input.value.trim();
-            masterPlaylists[masterId] = masterPlaylist;
-            saveMasterPlaylists(masterPlaylists);
-            titleDiv.textContent = masterPlaylist.name;
-            modalContent.replaceChild(titleDiv, input);
-            populateMasterSelect();
-            masterSelect.value = masterId;
-          }
-        };
-        input.addEventListener('blur', changeName);
-        input.addEventListener('keypress', (e) => {
-          if (e.key === 'Enter') {
-            changeName();
-          }
-        });
-      };
-      titleDiv.addEventListener(/*'dblclick'*/'click', ondbclick);
-      if (isNew) ondbclick();
+      const summaryDiv = document.createElement("div");
+      summaryDiv.style.cssText = `
+        font-size: 1rem;
+        opacity: 0.6;
+        margin-bottom: 1rem;
+      `;
+      modalContent.appendChild(summaryDiv);
 
-      // List of sub–playlists in this master playlist
       const listContainer = document.createElement("div");
       listContainer.style.cssText = `
         overflow-y: auto;
-        max-height: 20rem;
-        user-select: none;
-        cursor: move;
-        position: relative;
+        max-height: 30rem;
       `;
       modalContent.appendChild(listContainer);
 
-      // Drag to move list implementation
-      let dragHandleLongpress;
-      {
-        let timeout = null;
-        let startX, startY;
-        const dragTime = 300;
-        const dragDiv = document.createElement("div");
-        dragDiv.style.cssText = `
-          position: absolute;
-          background: #333;
-          pointer-events: none;
-          opacity: 0.85;
-          box-shadow: 0 0 0 0.3rem #333, 0 0 0 0.6rem #eee;
+      const history = await getWatchHistory(masterId);
+      const titles = new Map((await getVideoMapping(masterPlaylist)).map(a => [a.id, a.title]));
+      summaryDiv.textContent = `${history.length} plays recorded, showing the latest ${Math.min(history.length, HISTORY_PANEL_SIZE)}`;
+
+      for (const entry of history.slice(-HISTORY_PANEL_SIZE).reverse()) {
+        const itemDiv = document.createElement("div");
+        itemDiv.style.cssText = `
+          margin-bottom: 0.8rem;
         `;
-        let lastClosestIdx = null;
-        let newOrder = null;
-        let originalDivs = null;
-        let originalDraggedIdx = null;
-        dragHandleLongpress = (itemDiv, ev) => {
-          clearTimeout(timeout);
 
-          startX = ev.clientX;
-          startY = ev.clientY;
-          const modalRect = modalContent.getBoundingClientRect();
-          const rect = itemDiv.getBoundingClientRect();
-          dragDiv.style.transform = `translate(
-            ${-startX + (rect.left - modalRect.left)}px,
-            ${-startY + (rect.top - modalRect.top)}px)`;
-          dragDiv.style.top = startY + "px";
-          dragDiv.style.left = startX + "px";
-          dragDiv.style.width = rect.width + "px";
-          timeout = setTimeout(() => {
-            dragDiv.innerHTML = itemDiv.outerHTML;
-            dragDiv.querySelectorAll("button").forEach(el => el.remove());
-            dragDiv.querySelector("& > div").style.margin = "0";
-            modalContent.appendChild(dragDiv);
-            lastClosestIdx = null;
-            originalDivs = Array.from(listContainer.querySelectorAll("& > div"));
-            originalDraggedIdx = originalDivs.findIndex(a => a === itemDiv);
-            itemDiv.style.opacity = 0;
-          }, dragTime);
-        };
-        modalContent.addEventListener("pointermove", throttle((ev) => {
-          if (false === modalContent.contains(dragDiv)) {
-            if ((startX && Math.abs(startX - ev.clientX) > 5) ||
-              (startY && Math.abs(startY - ev.clientY) > 5)) {
-              startX = null;
-              startY = null;
-              clearTimeout(timeout);
-            }
-          } else {
-            dragDiv.style.top = ev.clientY + "px";
-            dragDiv.style.left = ev.clientX + "px";
-            const ci = getClosestDivIndex(dragDiv, Array.from(listContainer.querySelectorAll("& > div")));
-            if (ci !== lastClosestIdx) {
-              lastClosestIdx = ci;
-              newOrder = originalDivs.slice();
-              const [spliced] = newOrder.splice(originalDraggedIdx, 1);
-              newOrder.splice(ci, 0, spliced);
-              newOrder.forEach(el => listContainer.appendChild(el));
-            }
-          }
-        }, 10));
-        modalContent.addEventListener("pointerup", () => {
-          startX = null;
-          startY = null;
-          clearTimeout(timeout);
-          if (modalContent.contains(dragDiv)) {
-            modalContent.removeChild(dragDiv);
+        const link = document.createElement("a");
+        link.href = `/watch?v=${entry.id}`;
+        link.textContent = titles.get(entry.id) || entry.id;
+        link.style.cssText = `
+          color: white;
+          text-decoration: none;
+        `;
+        itemDiv.appendChild(link);
+
+        const infoDiv = document.createElement("div");
+        infoDiv.textContent = `${new Date(entry.at).toLocaleString()} - ${Math.round(entry.fraction * 100)}% watched`;
+        infoDiv.style.fontSize = "1rem";
+        infoDiv.style.opacity = "0.6";
+        itemDiv.appendChild(infoDiv);
+
+        listContainer.appendChild(itemDiv);
+      }
+
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        margin-top: 1rem;
+      `;
+      modalContent.appendChild(buttons);
+
+      const clearBtn = document.createElement("button");
+      clearBtn.textContent = "Clear";
+      clearBtn.style.cssText = btnStyle + "background: red; margin-right: .8rem;";
+      clearBtn.addEventListener('click', async () => {
+        if (confirm(`Clear the history of ${masterPlaylist.name}?`)) {
+          await clearWatchHistory(masterId);
+          document.body.removeChild(modalOverlay);
+        }
+      });
+      buttons.appendChild(clearBtn);
+
+      // Spacer
+      const buttonsSpacer = document.createElement("div");
+      buttonsSpacer.style.flex = "1";
+      buttons.appendChild(buttonsSpacer);
+
+      const doneBtn = document.createElement("button");
+      doneBtn.textContent = "Done";
+      doneBtn.style.cssText = btnStyle;
+      doneBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(doneBtn);
+    }
 
-            const newSubPlaylists = newOrder
-              .forEach(itemDiv => itemDiv.style.opacity = "")
-              .map(itemDiv => itemDiv.getAttribute("data-id"))
-              .map(id => masterPlaylist.subPlaylists.find(sub => sub.id === id))
-              .filter(Boolean);
-            if (newSubPlaylists.length !== masterPlaylist.subPlaylists.length) {
-              logError(`Failed to reorder the playlist`, { showAlert: true, throwError: true });
-            }
+    // --------- BLOCKED AND FAVORITE VIDEOS PANEL ----------
+    // onClose is called once the modal is closed
+    function openVideoListsModal(masterId, onClose = () => {}) {
+      const masterPlaylist = getMasterPlaylists()[masterId];
+      if (!masterPlaylist) return;
 
-            masterPlaylist.subPlaylists = newSubPlaylists;
-            masterPlaylists[masterId] = masterPlaylist;
-            saveMasterPlaylists(masterPlaylists);
+      const { modalOverlay, modalContent } = createModal();
+
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = `Videos of ${masterPlaylist.name}`;
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
+
+      const listContainer = document.createElement("div");
+      listContainer.style.cssText = `
+        overflow-y: auto;
+        max-height: 30rem;
+      `;
+      modalContent.appendChild(listContainer);
+
+      const headings = { blocked: "Blocked", favorites: "Favorites" };
+      function refreshLists() {
+        listContainer.replaceChildren();
+        const current = getMasterPlaylists()[masterId];
+        if (!current) return;
+
+        for (const list of VIDEO_LISTS) {
+          const headingDiv = document.createElement("div");
+          headingDiv.textContent = `${headings[list]} (${(current[list] || []).length})`;
+          headingDiv.style.cssText = `
+            font-weight: bold;
+            margin: 0.5rem 0;
+          `;
+          listContainer.appendChild(headingDiv);
+
+          for (const video of current[list] || []) {
+            const itemDiv = document.createElement("div");
+            itemDiv.style.cssText = `
+              margin-bottom: 0.5rem;
+              display: flex;
+              align-items: center;
+            `;
+            const link = document.createElement("a");
+            link.href = `/watch?v=${video.id}`;
+            link.textContent = video.title || video.id;
+            link.style.cssText = `
+              color: white;
+              text-decoration: none;
+              flex: 1;
+            `;
+            itemDiv.appendChild(link);
+
+            const delBtn = document.createElement("button");
+            delBtn.textContent = "Remove";
+            delBtn.style.cssText = btnStyle + `
+              font-size: 0.9rem;
+              padding: 0.3rem 0.6rem;
+            `;
+            delBtn.addEventListener('click', () => {
+              toggleListedVideo(masterId, list, video);
+              refreshLists();
+              updateFavoriteButton();
+            });
+            itemDiv.appendChild(delBtn);
+
+            listContainer.appendChild(itemDiv);
           }
-        });
+        }
       }
+      refreshLists();
 
-      async function refreshSubPlaylistList() {
-        listContainer.innerHTML = "";
-        for (let sub of masterPlaylist.subPlaylists) {
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        justify-content: flex-end;
+        margin-top: 1rem;
+      `;
+      modalContent.appendChild(buttons);
+
+      const doneBtn = document.createElement("button");
+      doneBtn.textContent = "Done";
+      doneBtn.style.cssText = btnStyle;
+      doneBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+        onClose();
+      });
+      buttons.appendChild(doneBtn);
+    }
+
+    // --------- API KEY PANEL ----------
+    let keysModalOpen = false;
+    function openKeysModal() {
+      if (keysModalOpen) return;
+      keysModalOpen = true;
+
+      const { modalOverlay, modalContent } = createModal();
+
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = "API Keys";
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
+
+      const summaryDiv = document.createElement("div");
+      summaryDiv.style.cssText = `
+        font-size: 1rem;
+        opacity: 0.6;
+        margin-bottom: 1rem;
+      `;
+      modalContent.appendChild(summaryDiv);
+
+      const listContainer = document.createElement("div");
+      listContainer.style.cssText = `
+        overflow-y: auto;
+        max-height: 20rem;
+      `;
+      modalContent.appendChild(listContainer);
+
+      const smallBtnStyle = btnStyle + `
+        font-size: 0.9rem;
+        padding: 0.3rem 0.6rem;
+      `;
+
+      function refreshKeyList() {
+        summaryDiv.textContent = `${getRemainingQuota()} of ${getQuotaBudget()} units left today, ` +
+          `keys are used from the top and the next one takes over when a key runs out or is invalid`;
+        listContainer.replaceChildren();
+
+        for (const entry of getAPIKeys()) {
           const itemDiv = document.createElement("div");
-          itemDiv.setAttribute("data-id", sub.id);
-          itemDiv.style.marginBottom = "1rem";
-          itemDiv.style.display = "flex";
-          itemDiv.style.alignItems = "center";
-          // Get video count from cache (or placeholder "..." if not available)
-          let videoInfos;
-          if (sub.type === 'channel') {
-            videoInfos = await getCachedChannelPlaylist(sub.id);
-          } else {
-            videoInfos = await getCachedSubPlaylist(sub.id);
-          }
+          itemDiv.style.cssText = `
+            margin-bottom: 1rem;
+            display: flex;
+            align-items: center;
+          `;
           const itemDivLeft = document.createElement("div");
-          const itemDivRight = document.createElement("div");
-          itemDiv.appendChild(itemDivLeft);
-          itemDiv.appendChild(itemDivRight);
           itemDivLeft.style.flex = "1";
-          const count = videoInfos.length;
+          itemDiv.appendChild(itemDivLeft);
+
           const nameDiv = document.createElement("div");
-          const nameA = document.createElement("a");
-          nameA.textContent = sub.title;
-          nameA.style.cssText = `
-            color: inherit;
-          `;
-          nameDiv.appendChild(nameA);
-          if (sub.url) {
-            nameA.href = sub.url;
-          }
+          nameDiv.textContent = `${entry.label} (${maskAPIKey(entry.key)})`;
           itemDivLeft.appendChild(nameDiv);
+
+          const usage = getKeyQuotaUsage(entry.key);
+          let status = "OK";
+          if (entry.invalid) status = "Invalid";
+          else if (usage.exhausted) status = "Out of quota";
           const infoDiv = document.createElement("div");
-          infoDiv.textContent = `${sub.id} - ${count} videos`;
+          infoDiv.textContent = `${status} - ${usage.used}/${getSetting('dailyQuota')} used today`;
           infoDiv.style.fontSize = "1rem";
           infoDiv.style.opacity = "0.6";
           itemDivLeft.appendChild(infoDiv);
-          // Delete button for the sub–playlist
+
+          if (entry.lastError) {
+            const errorDiv = document.createElement("div");
+            errorDiv.textContent = `Last error ${new Date(entry.lastErrorAt).toLocaleString()}: ${entry.lastError}`;
+            errorDiv.style.cssText = `
+              font-size: 0.9rem;
+              color: #f88;
+            `;
+            itemDivLeft.appendChild(errorDiv);
+          }
+
+          // Test button, a successful call clears the invalid flag
+          const testBtn = document.createElement("button");
+          testBtn.textContent = "Test";
+          testBtn.style.cssText = smallBtnStyle;
+          testBtn.addEventListener('click', async () => {
+            testBtn.disabled = true;
+            try {
+              // Does not depend on any video being available
+              await apiRequest('i18nLanguages', { part: 'snippet' }, {
+                apiKey: entry.key, priority: PRIORITY_INTERACTIVE
+              });
+              updateAPIKey(entry.key, { invalid: false, lastError: null, lastErrorAt: null });
+              alert(`${entry.label} works`);
+            } catch (e) {
+              alert(`${entry.label} failed: ${e.message}`);
+            } finally {
+              testBtn.disabled = false;
+            }
+          });
+          itemDiv.appendChild(testBtn);
+
           const delBtn = document.createElement("button");
-          delBtn.textContent = "×";
-          delBtn.style.cssText = btnStyle + `
-            line-height: 0;
-            border-radius: 0.9rem;
-            padding: 0;
-            font-size: 1.5rem;
-            width: 1.8rem;
-            height: 1.8rem;
-            box-sizing: border-box;
-          `;
+          delBtn.textContent = "Remove";
+          delBtn.style.cssText = smallBtnStyle;
           delBtn.addEventListener('click', () => {
-            if (confirm(`Remove ${sub.title}?`)) {
-              masterPlaylist.subPlaylists = masterPlaylist.subPlaylists.filter(x => x.id !== sub.id);
-              masterPlaylists[masterId] = masterPlaylist;
-              saveMasterPlaylists(masterPlaylists);
-              // Remove cache if no other master playlist uses this sub–playlist
-              let stillReferenced = false;
-              for (let mpId in masterPlaylists) {
-                if (masterPlaylists[mpId].subPlaylists.some(x => x.id === sub.id)) {
-                  stillReferenced = true;
-                  break;
-                }
-              }
-              if (!stillReferenced) {
-                if (sub.type === 'channel') {
-                  localStorage.removeItem('tm_sub_playlist_channel_' + sub.id);
-                } else {
-                  localStorage.removeItem('tm_sub_playlist_' + sub.id);
-                }
-              }
-              refreshSubPlaylistList();
+            if (confirm(`Remove ${entry.label}?`)) {
+              removeAPIKey(entry.key);
             }
           });
-          itemDivRight.appendChild(delBtn);
+          itemDiv.appendChild(delBtn);
+
           listContainer.appendChild(itemDiv);
+        }
+      }
+      refreshKeyList();
+      const removeQuotaListener = onQuotaChanged(refreshKeyList);
 
-          // Drag to move implementation
-          itemDiv.addEventListener("pointerdown", (ev) => {
-            if (ev.target.closest("a") || ev.target.closest("button")) return;
+      // Inputs to add a key
+      const inputStyle = `
+        outline: none;
+        appearance: none;
+        border: none;
+        padding: .3rem;
+        box-sizing: border-box;
+        margin-right: .25rem;
+      `;
+      const addDiv = document.createElement("div");
+      addDiv.style.cssText = `
+        display: flex;
+        margin-top: 1rem;
+      `;
+      const labelInput = document.createElement("input");
+      labelInput.type = "text";
+      labelInput.placeholder = "Label";
+      labelInput.style.cssText = inputStyle + "width: 8rem;";
+      addDiv.appendChild(labelInput);
+      const keyInput = document.createElement("input");
+      keyInput.type = "text";
+      keyInput.placeholder = "API key";
+      keyInput.style.cssText = inputStyle + "flex: 1;";
+      addDiv.appendChild(keyInput);
+      const addBtn = document.createElement("button");
+      addBtn.textContent = "Add";
+      addBtn.style.cssText = btnStyle;
+      addDiv.appendChild(addBtn);
+      modalContent.appendChild(addDiv);
+
+      const addKey = () => {
+        const key = keyInput.value.trim();
+        if (!key) return;
+        const label = labelInput.value.trim() || `Key ${getAPIKeys().length + 1}`;
+        if (!addAPIKey(key, label)) {
+          alert("The key is already added.");
+          return;
+        }
+        keyInput.value = "";
+        labelInput.value = "";
+      };
+      addBtn.addEventListener('click', addKey);
+      keyInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addKey();
+      });
 
-            dragHandleLongpress(itemDiv, ev);
+      const linkDiv = document.createElement("div");
+      linkDiv.style.cssText = `
+        margin-top: .25rem;
+        color: #aaa;
+        padding-left: 0.3rem;
+        font-size: 0.9rem;
+      `;
+      linkDiv.textContent = "https://developers.google.com/youtube/v3";
+      modalContent.appendChild(linkDiv);
+
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        justify-content: flex-end;
+        margin-top: 1rem;
+      `;
+      modalContent.appendChild(buttons);
+
+      const doneBtn = document.createElement("button");
+      doneBtn.textContent = "Done";
+      doneBtn.style.cssText = btnStyle;
+      doneBtn.addEventListener('click', () => {
+        removeQuotaListener();
+        keysModalOpen = false;
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(doneBtn);
+    }
+
+    keysButton.addEventListener('click', openKeysModal);
+    // Requests open the panel instead of failing silently when no key is registered
+    requestAPIKey = openKeysModal;
+
+    // --------- SETTINGS PANEL ----------
+    function openSettingsModal() {
+      const { modalOverlay, modalContent } = createModal();
+
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = "Settings";
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
+
+      const listContainer = document.createElement("div");
+      listContainer.style.cssText = `
+        overflow-y: auto;
+        max-height: 30rem;
+      `;
+      modalContent.appendChild(listContainer);
+
+      const smallBtnStyle = btnStyle + `
+        font-size: 0.9rem;
+        padding: 0.3rem 0.6rem;
+      `;
+      const inputStyle = `
+        outline: none;
+        appearance: none;
+        border: none;
+        padding: .3rem;
+        box-sizing: border-box;
+        margin-right: .25rem;
+        width: 12rem;
+      `;
+
+      // Setting name => { input, errorDiv }
+      const rows = {};
+      const settings = getSettings();
+      for (const name in SETTING_DEFINITIONS) {
+        const def = SETTING_DEFINITIONS[name];
+
+        const itemDiv = document.createElement("div");
+        itemDiv.style.cssText = `
+          margin-bottom: 1rem;
+          display: flex;
+          align-items: center;
+        `;
+        const itemDivLeft = document.createElement("div");
+        itemDivLeft.style.flex = "1";
+        itemDiv.appendChild(itemDivLeft);
+
+        const labelDiv = document.createElement("div");
+        labelDiv.textContent = def.label;
+        itemDivLeft.appendChild(labelDiv);
+
+        const defaultDiv = document.createElement("div");
+        defaultDiv.textContent = `Default ${formatSetting(name, def.default)}`;
+        defaultDiv.style.fontSize = "1rem";
+        defaultDiv.style.opacity = "0.6";
+        itemDivLeft.appendChild(defaultDiv);
+
+        const errorDiv = document.createElement("div");
+        errorDiv.style.cssText = `
+          font-size: 0.9rem;
+          color: #f88;
+        `;
+        itemDivLeft.appendChild(errorDiv);
+
+        const input = document.createElement("input");
+        if (def.type === "boolean") {
+          input.type = "checkbox";
+          input.checked = settings[name];
+          input.style.marginRight = ".25rem";
+        } else {
+          input.type = "text";
+          input.value = formatSetting(name, settings[name]);
+          input.style.cssText = inputStyle;
+          input.addEventListener('input', () => {
+            try {
+              validateSetting(name, input.value);
+              errorDiv.textContent = "";
+            } catch (e) {
+              errorDiv.textContent = e.message;
+            }
           });
         }
+        itemDiv.appendChild(input);
+
+        const resetBtn = document.createElement("button");
+        resetBtn.textContent = "Reset";
+        resetBtn.style.cssText = smallBtnStyle;
+        resetBtn.addEventListener('click', () => {
+          if (def.type === "boolean") {
+            input.checked = def.default;
+          } else {
+            input.value = formatSetting(name, def.default);
+          }
+          errorDiv.textContent = "";
+        });
+        itemDiv.appendChild(resetBtn);
+
+        rows[name] = { input, errorDiv, isCheckbox: def.type === "boolean" };
+        listContainer.appendChild(itemDiv);
       }
 
-      // Append log info for async log update
-      modalContent.appendChild(logInfoDiv);
-      logInfoDiv.style.cssText = `
-        background: #555;
-        font-size: 0.9rem;
-        text-align: center;
-        padding: 0.5rem 1rem;
-        margin-bottom: 0.7rem;
-        border-radius: 0.7rem;
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        margin-top: 1rem;
       `;
-      logInfo(null);
-      await refreshSubPlaylistList();
-      if (listContainer.scrollHeight > listContainer.clientHeight) {
-        listContainer.style.paddingRight = "0.5rem";
+      modalContent.appendChild(buttons);
+
+      // Restores every default at once, and saves right away
+      const resetAllBtn = document.createElement("button");
+      resetAllBtn.textContent = "Reset All";
+      resetAllBtn.style.cssText = btnStyle + "background: red; margin-right: .8rem;";
+      resetAllBtn.addEventListener('click', () => {
+        if (!confirm("Reset every setting to its default?")) return;
+        resetSettings();
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(resetAllBtn);
+
+      // Spacer
+      const buttonsSpacer = document.createElement("div");
+      buttonsSpacer.style.flex = "1";
+      buttons.appendChild(buttonsSpacer);
+
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.style.cssText = btnStyle;
+      cancelBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(cancelBtn);
+
+      const saveBtn = document.createElement("button");
+      saveBtn.textContent = "Save";
+      saveBtn.style.cssText = btnStyle;
+      saveBtn.addEventListener('click', () => {
+        const values = {};
+        for (const name in rows) {
+          values[name] = rows[name].isCheckbox ? rows[name].input.checked : rows[name].input.value;
+        }
+        const errors = saveSettings(values);
+        for (const name in rows) rows[name].errorDiv.textContent = errors[name] || "";
+        if (Object.keys(errors).length === 0) {
+          document.body.removeChild(modalOverlay);
+        }
+      });
+      buttons.appendChild(saveBtn);
+    }
+
+    settingsButton.addEventListener('click', openSettingsModal);
+
+    // --------- SHARE LINKS ----------
+    // The link starts at the current video when the master is the one playing
+    async function copyShareLink(masterId, masterPlaylist) {
+      const at = { shuffle: shuffleCheck.checked };
+      if (seedInput.value) at.seed = seedInput.value;
+
+      const video = masterId === currentMasterId ? getCurrentVideo() : null;
+      if (video) {
+        at.videoId = video.id;
+        // Without a seed the order is different every time
+        const seed = parseInt(seedInput.value);
+        if (!isNaN(seed) || !shuffleCheck.checked) {
+          // The order the recipient gets, which the sharer's favorites and blocked videos do not change
+          const shared = getSharedMaster(masterPlaylist);
+          const ordered = resolvePlayOrder(shared, await getVideoMapping(shared), seed, shuffleCheck.checked);
+          const idx = ordered.findIndex(a => a.id === video.id);
+          if (idx !== -1) at.position = idx;
+        }
       }
 
-      // Input to add a new sub–playlist (accepts URL only)
-      const newPlaylistInput = document.createElement("input");
-      newPlaylistInput.type = "text";
-      newPlaylistInput.placeholder = "Enter URL (playlist or channel)";
-      newPlaylistInput.style.cssText = `
+      const link = buildShareLink(masterPlaylist, at);
+      try {
+        await navigator.clipboard.writeText(link);
+        alert("Share link copied.");
+      } catch {
+        prompt("Copy the share link:", link);
+      }
+    }
+
+    // Offers to import the master playlist of a share link and to play it from the shared position
+    function openShareImportModal(share) {
+      const { modalOverlay, modalContent } = createModal();
+
+      // The same master may already be here, e.g. when opening a link shared from this browser
+      const sameDefinition = (a) => {
+        const { blocked, favorites, ...master } = validateSchema(a, MASTER_SCHEMA, "", []);
+        return JSON.stringify(master) === JSON.stringify(share.master);
+      };
+      const masterPlaylists = getMasterPlaylists();
+      const existingId = Object.keys(masterPlaylists).find(id => sameDefinition(masterPlaylists[id]));
+
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = `Shared: ${share.master.name}`;
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
+
+      const infoDiv = document.createElement("div");
+      const details = [`${share.master.subPlaylists.length} playlists/channels`];
+      if (share.seed) details.push(`seed ${share.seed}`);
+      if (share.shuffle !== undefined) details.push(share.shuffle ? "shuffled" : "in order");
+      if (share.position !== undefined) details.push(`starts at video ${share.position + 1}`);
+      if (existingId) details.push(`same as ${masterPlaylists[existingId].name}, which is used instead of a copy`);
+      infoDiv.textContent = details.join(", ");
+      infoDiv.style.cssText = `
+        font-size: 1rem;
+        opacity: 0.6;
+        margin-bottom: 1rem;
+      `;
+      modalContent.appendChild(infoDiv);
+
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
         margin-top: 1rem;
-        width: 100%;
-        outline: none;
-        appearance: none;
-        border: none;
-        padding: .3rem;
-        box-sizing: border-box;
       `;
-      modalContent.appendChild(newPlaylistInput);
+      modalContent.appendChild(buttons);
 
-      const urlFormatDiv = document.createElement("div");
-      urlFormatDiv.style.cssText = `
-        margin-top: .25rem;
-        color: #aaa;
-        padding-left: 0.3rem;
-        font-size: 0.9rem;
-      `;
-      urlFormatDiv.innerHTML = `
-      https://www.youtube.com/playlist?list={playlist_id}<br>
-      https://www.youtube.com/@channel/streams<br>
-      https://www.youtube.com/@channel/videos<br>
-      https://www.youtube.com/@channel
-      `;
-      modalContent.appendChild(urlFormatDiv);
+      // Spacer
+      const buttonsSpacer = document.createElement("div");
+      buttonsSpacer.style.flex = "1";
+      buttons.appendChild(buttonsSpacer);
 
-      // Add subplaylist
-      const ADD_SUB_OK = true;
-      const ADD_SUB_INVALID_ARG = -1;
-      const ADD_SUB_ALREADY_EXISTS = -2;
-      async function addSubPlaylist({ id, type, title, url } = {}) {
-        if (!id || !type || !title || !url) return ADD_SUB_INVALID_ARG;
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.style.cssText = btnStyle;
+      cancelBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(cancelBtn);
 
-        // Push if not found, update if found
-        const sub = masterPlaylist.subPlaylists.find(x => x.id === id);
-        if (!sub) {
-          masterPlaylist.subPlaylists.push({ id, title, type, url });
-          masterPlaylists[masterId] = masterPlaylist;
-          saveMasterPlaylists(masterPlaylists);
-          // No always-renew cache
-          if (type === 'channel') {
-            await getCachedChannelPlaylist(id);
-          } else {
-            // type === 'playlist'
-            await getCachedSubPlaylist(id);
-          }
-          await refreshSubPlaylistList();
+      const importBtn = document.createElement("button");
+      importBtn.textContent = existingId ? "Play" : "Import and play";
+      importBtn.style.cssText = btnStyle;
+      importBtn.addEventListener('click', async () => {
+        document.body.removeChild(modalOverlay);
 
-          return ADD_SUB_OK;
-        } else {
-          sub.title = title;
-          sub.url = url;
-          masterPlaylists[masterId] = masterPlaylist;
+        let masterId = existingId;
+        if (!masterId) {
+          masterId = 'mp_' + Date.now();
+          const masterPlaylists = getMasterPlaylists();
+          masterPlaylists[masterId] = share.master;
           saveMasterPlaylists(masterPlaylists);
+        }
+        const masterPlaylist = getMasterPlaylists()[masterId];
 
-          // Update listContainer
-          const a = listContainer.querySelector(`[data-id="${sub.id}"] a`);
-          if (a) {
-            a.textContent = sub.title;
-            a.href = sub.url;
-          }
+        currentMasterId = masterId;
+        populateMasterSelect();
+        masterSelect.value = masterId;
+        localStorage.setItem('tm_current_master_id', masterId);
+        sessionStorage.setItem('tm_current_master_id', masterId);
+        if (share.seed !== undefined) {
+          seedInput.value = share.seed;
+          seedInput.dispatchEvent(new Event("input"));
+        }
+        if (share.shuffle !== undefined) {
+          shuffleCheck.checked = share.shuffle;
+          shuffleCheck.dispatchEvent(new Event("change"));
+        }
+        manualEnable();
 
-          return ADD_SUB_ALREADY_EXISTS;
+        const mapping = await getVideoMapping(masterPlaylist);
+        if (mapping.length === 0) {
+          alert("No videos found in the selected playlists/channels.");
+          return;
         }
+        const seed = parseInt(seedInput.value);
+        const ordered = resolvePlayOrder(masterPlaylist, mapping, isNaN(seed) ? Date.now() : seed, shuffleCheck.checked);
+        let idx = ordered.findIndex(a => a.id === share.videoId);
+        if (idx === -1) idx = Math.min(share.position ?? 0, ordered.length - 1);
+        const mpName = masterPlaylist.name.replaceAll(/\s/g, "_");
+        playVideo(ordered[idx].id, `#${mpName}_(${idx + 1}/${ordered.length})`);
+        renderQueue();
+      });
+      buttons.appendChild(importBtn);
+    }
+
+    // --------- PLAY ORDER EXPORT ----------
+    // Exports the order that nextVideo goes through with the seed and the options of the top bar
+    async function openPlayOrderModal(masterId, masterPlaylist) {
+      const mapping = await getVideoMapping(masterPlaylist);
+      if (mapping.length === 0) {
+        alert("No videos found in the selected playlists/channels.");
+        return;
+      }
+      const parsedSeed = parseInt(seedInput.value);
+      const seed = isNaN(parsedSeed) ? Date.now() : parsedSeed;
+      const shuffle = shuffleCheck.checked;
+      let ordered = resolvePlayOrder(masterPlaylist, mapping, seed, shuffle);
+      if (shuffle) {
+        ordered = substituteEpisodes(masterPlaylist, mapping, ordered, await getSeriesProgress(masterId));
       }
 
-      // Import
-      async function tryImport(text) {
-        if (!isBase64(text)) return false;
+      const { modalOverlay, modalContent } = createModal();
 
-        let imported;
-        try {
-          imported = decompressData(text);
-          imported = JSON.parse(imported);
-        } catch {
-          alert("Malformed export data");
-          return false;
-        }
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = "Export play order";
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
 
-        if (!imported.name || !imported.subPlaylists || !Array.isArray(imported.subPlaylists) || imported.subPlaylists.length === 0) {
-          alert("Malformed master playlist data");
-          return false;
+      const infoDiv = document.createElement("div");
+      let orderText = "oldest first per playlist/channel";
+      if (masterPlaylist.aggregate) orderText = "oldest first across playlists/channels";
+      if (masterPlaylist.interleave) orderText = "interleaved";
+      if (shuffle) {
+        orderText = isNaN(parsedSeed)
+          ? `shuffled with the random seed ${seed}, set a seed to get the same order again`
+          : `shuffled with seed ${seed}`;
+        if (masterPlaylist.subPlaylists.some(sub => sub.sequential)) {
+          orderText += ", playlists played in order go on from their last episode played";
         }
+      }
+      infoDiv.textContent = `${ordered.length} videos of ${masterPlaylist.name}, ${orderText}`;
+      infoDiv.style.cssText = `
+        font-size: 1rem;
+        opacity: 0.6;
+        margin-bottom: 1rem;
+      `;
+      modalContent.appendChild(infoDiv);
 
-        // Change name if the current master is empty
-        if (masterPlaylist.subPlaylists.length === 0) {
-          masterPlaylist.name = imported.name;
-          titleDiv.textContent = masterPlaylist.name;
-          populateMasterSelect();
-        }
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        margin-top: 1rem;
+      `;
+      modalContent.appendChild(buttons);
 
-        for (const sub of imported.subPlaylists) {
-          const res = await addSubPlaylist(sub);
-          if (res === ADD_SUB_INVALID_ARG) {
-            logError(`Failed to add subplaylist: "${JSON.stringify(sub)}"`, { showAlert: true });
-          }
-        }
+      const formatSelect = document.createElement("select");
+      formatSelect.style.cssText = btnStyle;
+      for (const format in PLAY_ORDER_FORMATS) {
+        const option = document.createElement("option");
+        option.value = format;
+        option.textContent = PLAY_ORDER_FORMATS[format].label;
+        option.style.color = "black";
+        formatSelect.appendChild(option);
+      }
+      buttons.appendChild(formatSelect);
 
-        return true;
+      // Spacer
+      const buttonsSpacer = document.createElement("div");
+      buttonsSpacer.style.flex = "1";
+      buttons.appendChild(buttonsSpacer);
+
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.style.cssText = btnStyle;
+      cancelBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(cancelBtn);
+
+      const downloadBtn = document.createElement("button");
+      downloadBtn.textContent = "Download";
+      downloadBtn.style.cssText = btnStyle;
+      downloadBtn.addEventListener('click', () => {
+        const format = PLAY_ORDER_FORMATS[formatSelect.value];
+        const text = writePlayOrder(formatSelect.value, masterPlaylist, ordered, { seed, shuffle });
+        const suffix = shuffle ? `-${seed}` : "";
+        downloadFile(`playOrder-${masterPlaylist.name}${suffix}.${format.extension}`, text, format.type);
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(downloadBtn);
+    }
+
+    // --------- BACKUP PANEL ----------
+    async function openBackupModal() {
+      const { modalOverlay, modalContent } = createModal();
+
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = "Backup and Restore";
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
+
+      const infoDiv = document.createElement("div");
+      infoDiv.textContent = `Backs up the ${Object.keys(getMasterPlaylists()).length} master playlists with ` +
+        `their history, the settings and the current seed, but not the API keys. ` +
+        `Drop a backup file here to restore it.`;
+      infoDiv.style.cssText = `
+        font-size: 1rem;
+        opacity: 0.6;
+        margin-bottom: 1rem;
+      `;
+      modalContent.appendChild(infoDiv);
+
+      const cachesLabel = document.createElement("label");
+      cachesLabel.style.cssText = `
+        display: block;
+        font-size: 1.1rem;
+      `;
+      const cachesCheck = document.createElement("input");
+      cachesCheck.type = "checkbox";
+      cachesCheck.style.marginRight = ".5rem";
+      cachesLabel.appendChild(cachesCheck);
+      const cacheCount = (await storage.keys(SUB_PLAYLIST_KEY_PREFIX)).length;
+      cachesLabel.appendChild(document.createTextNode(
+        `Include the caches of ${cacheCount} playlists/channels, so that they need not be fetched again`
+      ));
+      modalContent.appendChild(cachesLabel);
+
+      async function restoreFrom(text) {
+        const parsed = parseBackup(text);
+        if (!parsed) {
+          alert("Not a backup file");
+          return;
+        }
+        if (parsed.errors.length > 0) {
+          alertErrors("Invalid backup", parsed.errors);
+          return;
+        }
+        document.body.removeChild(modalOverlay);
+        openRestoreModal(parsed.backup, await diffBackup(parsed.backup));
       }
 
-      // Drag to import
+      // Drag to restore
       modalOverlay.addEventListener("dragover", (event) => event.preventDefault());
       modalOverlay.addEventListener("drop", async (event) => {
-        event.preventDefault(); // Prevent default behavior (open in a new tab)
-        event.stopPropagation(); // Stop further event bubbling
+        event.preventDefault();
+        event.stopPropagation();
+        const file = event.dataTransfer.files?.[0];
+        if (file) await restoreFrom(await file.text());
+      });
 
-        const items = event.dataTransfer.items; // Get dropped items
+      const buttons = document.createElement("div");
+      buttons.style.cssText = `
+        display: flex;
+        margin-top: 1rem;
+      `;
+      modalContent.appendChild(buttons);
 
-        if (!items) return;
+      const restoreBtn = document.createElement("button");
+      restoreBtn.textContent = "Restore…";
+      restoreBtn.style.cssText = btnStyle;
+      restoreBtn.addEventListener('click', () => {
+        const fileInput = document.createElement("input");
+        fileInput.type = "file";
+        fileInput.accept = ".json,application/json";
+        fileInput.addEventListener('change', async () => {
+          const file = fileInput.files[0];
+          if (file) await restoreFrom(await file.text());
+        });
+        fileInput.click();
+      });
+      buttons.appendChild(restoreBtn);
 
-        for (const item of items) {
-          if (item.kind === "string") {
-            item.getAsString((text) => {
-              tryImport(text);
-            });
-            return;
-          } else if (item.kind === "file") {
-            const file = item.getAsFile();
-            if (file) {
-              await tryImport(await file.text());
-            }
-          }
-        }
+      // Spacer
+      const buttonsSpacer = document.createElement("div");
+      buttonsSpacer.style.flex = "1";
+      buttons.appendChild(buttonsSpacer);
+
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.style.cssText = btnStyle;
+      cancelBtn.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+      buttons.appendChild(cancelBtn);
+
+      const backupBtn = document.createElement("button");
+      backupBtn.textContent = "Backup everything";
+      backupBtn.style.cssText = btnStyle;
+      backupBtn.addEventListener('click', async () => {
+        const backup = await createBackup({ includeCaches: cachesCheck.checked });
+        const date = backup.exportedAt.slice(0, 10);
+        downloadFile(`tm-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        document.body.removeChild(modalOverlay);
       });
+      buttons.appendChild(backupBtn);
+    }
 
-      let newPlaylistInputRunning = false;
-      newPlaylistInput.addEventListener('keypress', async (e) => {
-        if (e.key !== 'Enter') return;
+    // Shows what a backup would change and lets the user pick what to restore
+    function openRestoreModal(backup, diff) {
+      const { modalOverlay, modalContent } = createModal();
 
-        if (newPlaylistInputRunning) {
-          alert("Already fetching data...");
-          return;
-        }
-        newPlaylistInputRunning = true;
-        try {
-          await (async () => {
-            const inputValRaw = newPlaylistInput.value.trim();
-            if (inputValRaw === "") return;
-            let urlObj;
-            try {
-              urlObj = new URL(inputValRaw);
-            } catch (err) {
-              if (tryImport(inputValRaw)) {
-                newPlaylistInput.value = "";
-                return;
-              }
-              alert("Please enter a valid URL.");
-              return;
-            }
-            let id = null, type = null, title = null;
-            // Check for playlist URL first
-            if (urlObj.pathname.includes("playlist") && urlObj.searchParams.has("list")) {
-              id = urlObj.searchParams.get("list");
-              type = 'playlist';
-              title = await validatePlaylist(id);
-            } else if (urlObj.pathname.includes("/channel/")) {
-              // Extract channel id from URL (assuming URL like https://www.youtube.com/channel/CHANNEL_ID)
-              const parts = urlObj.pathname.split("/");
-              id = parts[parts.indexOf("channel") + 1];
-              type = 'channel';
-              title = await validateChannel(id);
-            } else if (urlObj.pathname.startsWith("/@")) {
-              const splits = urlObj.pathname.split("/");
-              const handle = splits[1].slice(1);
-              [id, title] = await validateChannelHandle(handle);
+      const titleDiv = document.createElement("div");
+      const exportedAt = new Date(backup.exportedAt ?? NaN);
+      titleDiv.textContent = isNaN(exportedAt) ? "Restore backup" : `Restore backup of ${exportedAt.toLocaleString()}`;
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
 
-              // Type
-              type = 'channel';
-              if (id && title && splits.length >= 3) {
-                if (splits[2] === "videos") {
-                  type = 'playlist';
-                  id = "UULF" + id.slice(2);
-                  title = `[Videos] ${title}`;
-                } else if (splits[2] === "streams") {
-                  type = 'playlist';
-                  id = "UULV" + id.slice(2);
-                  title = `[Live] ${title}`;
-                }
-              }
+      const listContainer = document.createElement("div");
+      listContainer.style.cssText = `
+        overflow-y: auto;
+        max-height: 30rem;
+      `;
+      modalContent.appendChild(listContainer);
 
-              /** https://stackoverflow.com/questions/71192605/how-do-i-get-youtube-shorts-from-youtube-api-data-v3
-                prefix	contents
-                UULF	Videos
-                UULP	Popular videos
-                UULV	Live streams
-                UUMF	Members-only videos
-                UUMO	Members-only contents (videos, short videos and live streams)
-                UUMS	Members-only short videos
-                UUMV	Members-only live streams
-                UUPS	Popular short videos
-                UUPV	Popular live streams
-                UUSH	Short videos
-              */
-            }
-            if (!id || !type || !title) {
-              alert("Invalid URL or unable to validate the playlist/channel.");
-              return;
-            }
+      const headerStyle = `
+        font-weight: bold;
+        margin: 1rem 0 .5rem;
+      `;
+      const detailStyle = `
+        font-size: 1rem;
+        opacity: 0.6;
+      `;
+      const selectStyle = btnStyle + `
+        font-size: 0.9rem;
+        padding: 0.3rem 0.6rem;
+        margin-left: auto;
+      `;
 
-            // Push if not found, update if found
-            const res = await addSubPlaylist({
-              id: id,
-              title: title,
-              type: type,
-              url: urlObj.toString()
-            });
+      function addHeader(text) {
+        const header = document.createElement("div");
+        header.textContent = text;
+        header.style.cssText = headerStyle;
+        listContainer.appendChild(header);
+      }
 
-            if (res === ADD_SUB_ALREADY_EXISTS) {
-              alert("Playlist/Channel already added.");
-            }
+      function addRow(text, detail) {
+        const itemDiv = document.createElement("div");
+        itemDiv.style.cssText = `
+          display: flex;
+          align-items: center;
+          padding: .25rem 0;
+          border-bottom: 1px solid #fff3;
+        `;
+        const textDiv = document.createElement("div");
+        textDiv.textContent = text;
+        if (detail) {
+          const detailDiv = document.createElement("div");
+          detailDiv.textContent = detail;
+          detailDiv.style.cssText = detailStyle;
+          textDiv.appendChild(detailDiv);
+        }
+        itemDiv.appendChild(textDiv);
+        listContainer.appendChild(itemDiv);
+        return itemDiv;
+      }
 
-            newPlaylistInput.value = "";
-          })();
-        } finally {
-          newPlaylistInputRunning = false;
+      function addSelect(itemDiv, options, value) {
+        const select = document.createElement("select");
+        select.style.cssText = selectStyle;
+        for (const [optionValue, label] of options) {
+          const option = document.createElement("option");
+          option.value = optionValue;
+          option.textContent = label;
+          option.style.color = "black";
+          select.appendChild(option);
         }
+        select.value = value;
+        itemDiv.appendChild(select);
+        return select;
+      }
 
-      });
+      function addCheck(itemDiv) {
+        const check = document.createElement("input");
+        check.type = "checkbox";
+        check.checked = true;
+        check.style.marginLeft = "auto";
+        itemDiv.appendChild(check);
+        return check;
+      }
+
+      // Master id => select
+      const masterSelects = {};
+      addHeader("Master playlists");
+      for (const entry of diff.masters) {
+        if (entry.status === "same") {
+          addRow(entry.name, "Unchanged");
+        } else if (entry.status === "new") {
+          const itemDiv = addRow(entry.name, "Not here yet");
+          masterSelects[entry.id] = addSelect(itemDiv, [[RESTORE_USE, "Restore"], [RESTORE_KEEP, "Skip"]], RESTORE_USE);
+        } else {
+          const itemDiv = addRow(entry.name, entry.changes.join(", "));
+          masterSelects[entry.id] = addSelect(itemDiv, [
+            [RESTORE_USE, "Use backup"],
+            [RESTORE_KEEP, "Keep current"],
+            [RESTORE_BOTH, "Keep both"],
+          ], RESTORE_USE);
+        }
+      }
+      if (diff.kept.length > 0) {
+        addRow(`${diff.kept.length} not in the backup`, `Left as they are: ${diff.kept.join(", ")}`);
+      }
+
+      let settingsCheck = null;
+      if (diff.settings.length > 0) {
+        addHeader("Settings");
+        const itemDiv = addRow(
+          `${diff.settings.length} settings differ`,
+          diff.settings.map(a => `${SETTING_DEFINITIONS[a.name].label}: ${a.current} → ${a.restored}`).join("; ")
+        );
+        settingsCheck = addCheck(itemDiv);
+      }
+
+      let sessionCheck = null;
+      if (diff.session) {
+        addHeader("Session");
+        const itemDiv = addRow(
+          "Current master and seed",
+          `${diff.session.masterName || "None"}, seed ${diff.session.seed || "none"}`
+        );
+        sessionCheck = addCheck(itemDiv);
+      }
+
+      let cachesCheck = null;
+      if (diff.caches.total > 0) {
+        addHeader("Caches");
+        const itemDiv = addRow(
+          `${diff.caches.newer} of ${diff.caches.total} caches are newer than the current ones`,
+          "Only the newer ones are restored"
+        );
+        cachesCheck = addCheck(itemDiv);
+        cachesCheck.checked = diff.caches.newer > 0;
+      }
 
       const buttons = document.createElement("div");
       buttons.style.cssText = `
@@ -1636,104 +6159,142 @@
       `;
       modalContent.appendChild(buttons);
 
-      // Red "Delete Master" button
-      const deleteMasterBtn = document.createElement("button");
-      deleteMasterBtn.textContent = "Delete Master";
-      deleteMasterBtn.style.cssText = btnStyle + "background: red; margin-right: .8rem;";
-      deleteMasterBtn.addEventListener('click', () => {
-        if (confirm(`Are you sure you want to delete ${masterPlaylist.name}?`)) {
-          delete masterPlaylists[masterId];
-          saveMasterPlaylists(masterPlaylists);
-          if (currentMasterId === masterId) {
-            currentMasterId = null;
-          }
-          populateMasterSelect();
-          document.body.removeChild(modalOverlay);
-        }
-      });
-      buttons.appendChild(deleteMasterBtn);
-
-      // "Export" button to close the modal
-      const exportBtn = document.createElement("button");
-      exportBtn.textContent = "Export";
-      exportBtn.style.cssText = btnStyle;
-      exportBtn.addEventListener('click', () => {
-        let data = JSON.stringify(masterPlaylist, null, 2);
-        const blob = new Blob([compressData(data)], { type: 'text/plain' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = `masterPlaylist-${masterPlaylist.name}`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(a.href);
-      });
-      buttons.appendChild(exportBtn);
-
       // Spacer
       const buttonsSpacer = document.createElement("div");
       buttonsSpacer.style.flex = "1";
       buttons.appendChild(buttonsSpacer);
 
-      const aggregateDiv = document.createElement("div");
-      aggregateDiv.style.cssText = `
-        display: flex;
-        align-items: center;
-        font-size: 1rem;
-        margin-right: 1.2rem;
-        user-select: none;
-      `;
-      const aggregateCheck = document.createElement("input");
-      aggregateCheck.type = "checkbox";
-      aggregateCheck.addEventListener("change", () => {
-        masterPlaylist.aggregate = aggregateCheck.checked;
-        masterPlaylists[masterId] = masterPlaylist;
-        saveMasterPlaylists(masterPlaylists);
-      });
-      aggregateCheck.checked = masterPlaylist?.aggregate === true;
-      aggregateDiv.appendChild(aggregateCheck);
-      const aggregateSpan = document.createElement("span");
-      aggregateSpan.textContent = " Aggregate";
-      aggregateDiv.appendChild(aggregateSpan);
-      buttons.appendChild(aggregateDiv);
-
-      // "Done" button to close the modal
-      const doneBtn = document.createElement("button");
-      doneBtn.textContent = "Done";
-      doneBtn.style.cssText = btnStyle;
-      doneBtn.addEventListener('click', () => {
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.style.cssText = btnStyle;
+      cancelBtn.addEventListener('click', () => {
         document.body.removeChild(modalOverlay);
       });
-      buttons.appendChild(doneBtn);
+      buttons.appendChild(cancelBtn);
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.textContent = "Restore";
+      restoreBtn.style.cssText = btnStyle;
+      restoreBtn.addEventListener('click', async () => {
+        const choices = {
+          masters: Object.fromEntries(Object.entries(masterSelects).map(([id, select]) => [id, select.value])),
+          settings: settingsCheck?.checked ?? false,
+          session: sessionCheck?.checked ?? false,
+          caches: cachesCheck?.checked ?? false,
+        };
+        restoreBtn.disabled = true;
+        const { errors } = await applyBackup(backup, choices);
+        document.body.removeChild(modalOverlay);
+        if (errors.length > 0) alertErrors("Restored with errors", errors);
 
+        populateMasterSelect();
+        if (choices.session) {
+          seedInput.value = localStorage.getItem('tm_current_seed') || "";
+          masterSelect.value = localStorage.getItem('tm_current_master_id') || "";
+          masterSelect.dispatchEvent(new Event("change"));
+        } else if (currentMasterId) {
+          masterSelect.value = currentMasterId;
+        }
+        renderQueue();
+      });
+      buttons.appendChild(restoreBtn);
     }
 
-    editButton.addEventListener('click', () => {
-      if (currentMasterId) {
-        openEditModal(currentMasterId, false);
-      } else {
-        openEditModal(null, true);
-      }
-    });
+    backupButton.addEventListener('click', openBackupModal);
 
     // For shuffling
-    function stableSeededSort(ary, seed) {
+    function stableSeededSort(ary, seed, algorithm) {
       return ary
         .map((item) => ({
           item,
-          rank: seededHash(item.id, seed)
+          rank: seededHash(item.id, seed, algorithm)
         }))
         .sort((a, b) => a.rank - b.rank)
         .map(({ item }) => item);
     }
 
-    // A hashing function that produces a consistent pseudo-random rank for a given videoId
-    function seededHash(videoId, seed) {
-      let hash = 0;
-      for (let i = 0; i < videoId.length; i++) {
-        hash = (hash * 31 + videoId.charCodeAt(i)) >>> 0; // Simple hash function
+    // Shuffles so that each sub–playlist takes a share of the list in proportion to its weight, whatever its size.
+    // Every video gets an exponentially distributed key with the rate of weight / size of its sub–playlist,
+    // so the smallest key falls in a sub–playlist with the probability of its share, and on any of its videos
+    // equally. Videos of a sub–playlist keep their order among themselves for a seed, but unlike stableSeededSort
+    // a video added to a sub–playlist changes the rate of all of its videos and so moves them among the others.
+    // Sub–playlists that weigh 0 have no rate and come last, in the order of stableSeededSort.
+    // Weights only shape how the list starts: it is still a permutation that Next walks in a loop, so over
+    // a whole pass every sub–playlist plays as many times as it has videos, whatever its weight.
+    function weightedSeededSort(ary, seed, weights, algorithm) {
+      const sizes = new Map();
+      for (const item of ary) {
+        const subId = item._meta.subPlaylist.id;
+        sizes.set(subId, (sizes.get(subId) || 0) + 1);
+      }
+      const isUnweighted = item => weights.get(item._meta.subPlaylist.id) === 0;
+      const sorted = ary
+        .filter(item => !isUnweighted(item))
+        .map((item) => {
+          const subId = item._meta.subPlaylist.id;
+          const rate = (weights.get(subId) ?? 1) / sizes.get(subId);
+          const u = Math.max(Math.abs(seededHash(item.id, seed, algorithm)), Number.EPSILON);
+          return { item, rank: -Math.log(u) / rate };
+        })
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ item }) => item);
+      return sorted.concat(stableSeededSort(ary.filter(isUnweighted), seed, algorithm));
+    }
+
+    // Repeats each favorite of a shuffled list boost times, so that a pass plays it boost times as often as the others.
+    // The copies of a favorite at position i go to i / boost, (i + n) / boost, ... of the n positions, evenly apart.
+    // The other videos keep their order among themselves, so favorites can be added and removed
+    // without reshuffling the rest.
+    function boostFavorites(shuffled, favorites, boost) {
+      const copies = Math.max(1, Math.round(boost));
+      const n = shuffled.length;
+      return shuffled
+        .flatMap((item, i) => favorites.has(item.id)
+          ? Array.from({ length: copies }, (_, k) => ({ item, i, rank: (i + k * n) / copies }))
+          : [{ item, i, rank: i }])
+        .sort((a, b) => a.rank - b.rank || a.i - b.i)
+        .map(({ item }) => item);
+    }
+
+    /**
+     * Orders the mapping of a master playlist the way Next and Prev walk it: chronologically or interleaved
+     * as set on the master, then shuffled by the seed if shuffle is on.
+     * A shuffled order has the favorites more than once, see boostFavorites.
+     *
+     * @param {Object} masterPlaylist
+     * @param {Object[]} mapping - Built by getVideoMapping, left as it is.
+     * @param {number} seed
+     * @param {boolean} shuffle
+     * @returns {Object[]}
+     */
+    function resolvePlayOrder(masterPlaylist, mapping, seed, shuffle) {
+      let ordered = mapping;
+      // Aggregated playlist
+      if (masterPlaylist.aggregate) {
+        // Sort all into oldest first order
+        ordered = [...mapping].sort((a, b) => a.publishedAt - b.publishedAt);
+      } else if (masterPlaylist.interleave) {
+        // One video of each sub–playlist in turn
+        ordered = interleaveSubPlaylists(mapping);
       }
-      return (Math.sin(seed + hash) * 10000) % 1; // Get a stable random order
+      if (!shuffle) return ordered;
+
+      // Shuffle
+      // Shuffle uses deterministic random in such a manner that it assures additions of new videos
+      // won't completely change the order of the shuffled list for a certain seed
+      // Weighted sub–playlists are picked first by their weight and then a video in them
+      const weights = getSubPlaylistWeights(masterPlaylist);
+      const favorites = getListedVideoIds(masterPlaylist, 'favorites');
+      const algorithm = getShuffleAlgorithm(masterPlaylist);
+      const shuffled = weights
+        ? weightedSeededSort(ordered, seed, weights, algorithm)
+        : stableSeededSort(ordered, seed, algorithm);
+      return favorites.size > 0 ? boostFavorites(shuffled, favorites, getSetting('favoriteBoost')) : shuffled;
+    }
+
+    // Produces a consistent pseudo-random rank for a given videoId, see SHUFFLE ALGORITHMS
+    function seededHash(videoId, seed, algorithm = LEGACY_SHUFFLE_ALGORITHM) {
+      return SHUFFLE_ALGORITHMS[algorithm].rank(videoId, seed);
     }
 
     function isPlayerVisible(player) {
@@ -1744,7 +6305,8 @@
     // --------- NEXT BUTTON FUNCTIONALITY ----------
     const YT_PLAYER_STATE_ENDED = 0;
     let nextVideoRedirected = false;
-    const nextVideo = async (override = 1) => {
+    // startIndex is where to go on from when the current video is not in the order, e.g. it has just been blocked
+    const nextVideo = async (override = 1, { startIndex } = {}) => {
 
       if (!enabeldCheck.checked) return;
 
@@ -1778,33 +6340,95 @@
       if (isNaN(seed)) {
         seed = Date.now();
       }
+      const currentVideoId = player?.getVideoData().video_id;
 
-      // Aggregated playlist
-      if (masterPlaylist.aggregate) {
-        // Sort all into oldest first order
-        mapping.sort((a, b) => a.publishedAt - b.publishedAt);
+      // Cycle mode
+      // Videos played in the current pass are not picked again until every video has been played
+      let cycle = null;
+      let played = null;
+      if (cycleCheck.checked) {
+        cycle = await getCycleState(currentMasterId);
+        // Videos removed from the master playlist no longer count
+        const mappingIds = new Set(mapping.map(a => a.id));
+        played = new Set(cycle.played.filter(id => mappingIds.has(id)));
+        if (currentVideoId && mappingIds.has(currentVideoId)) played.add(currentVideoId);
+
+        if (played.size >= mapping.length) {
+          cycle = { pass: cycle.pass + 1, played: [] };
+          played = new Set();
+          if (getSetting('cycleReseed')) {
+            seed = Date.now();
+            seedInput.value = seed;
+            localStorage.setItem('tm_current_seed', seedInput.value);
+          }
+        }
       }
 
-      // Shuffle
-      // Shuffle uses deterministic random in such a manner that it assures additions of new videos
-      // won't completely change the order of the shuffled list for a certain seed
-      const shuffled = shuffleCheck.checked ? stableSeededSort(mapping, seed) : mapping;
-      let randomIndex = Date.now() % mapping.length;
-      const currentVideoId = player?.getVideoData().video_id;
+      const shuffled = resolvePlayOrder(masterPlaylist, mapping, seed, shuffleCheck.checked);
+      let randomIndex = startIndex !== undefined ? startIndex % shuffled.length : Date.now() % shuffled.length;
+      let currentIndex = -1;
       if (currentVideoId) {
-        const currentIndex = shuffled.findIndex(video => video.id === currentVideoId);
+        currentIndex = findPlayingIndex(shuffled, currentVideoId);
         if (currentIndex !== -1) {
-          randomIndex = (currentIndex + override + mapping.length) % mapping.length;
+          randomIndex = (currentIndex + override + shuffled.length) % shuffled.length;
         }
       }
-      const videoInfo = shuffled[randomIndex]; 
+
+      // Pass over the videos played in this pass and recently played or watched videos when going forward,
+      // going back still returns to them. The pass comes first, so nothing played in it is picked again
+      // even when every other video would be skipped, and nothing is skipped if every video would be
+      if (override > 0 || currentIndex === -1) {
+        const skipped = await getSkippedVideoIds(currentMasterId);
+        const findFrom = (accept) => {
+          for (let k = 0; k < shuffled.length; k++) {
+            const idx = (randomIndex + k) % shuffled.length;
+            if (accept(shuffled[idx])) return idx;
+          }
+          return -1;
+        };
+        let idx = findFrom(video => !skipped.has(video.id) && !played?.has(video.id));
+        if (idx === -1 && played) idx = findFrom(video => !played.has(video.id));
+        if (idx !== -1) randomIndex = idx;
+      }
+      let videoInfo = shuffled[randomIndex];
+
+      // Shuffle only picks which sequential sub–playlist plays, which then plays its next episode
+      const pickedSub = masterPlaylist.subPlaylists.find(sub => sub.id === videoInfo._meta.subPlaylist.id);
+      if (shuffleCheck.checked && pickedSub?.sequential && (override > 0 || currentIndex === -1)) {
+        const progress = await getSeriesProgress(currentMasterId);
+        videoInfo = getNextEpisode(getEpisodes(mapping, pickedSub), progress[pickedSub.id]);
+        randomIndex = shuffled.indexOf(videoInfo);
+        await saveSeriesProgress(currentMasterId, { ...progress, [pickedSub.id]: videoInfo.id });
+      }
       const videoId = videoInfo.id;
 
+      if (cycle) {
+        played.add(videoId);
+        await saveCycleState(currentMasterId, { pass: cycle.pass, played: [...played] });
+      }
+
       // Change page
-      const href = `/watch?v=${videoId}`;
       const mpName = masterPlaylist.name.replaceAll(/\s/g, "_");
-      const i = `(${randomIndex + 1}/${mapping.length})`;
-      const hash = `#${mpName}_${i}`;
+      // Cycle mode shows the progress of the pass instead of the position in the list
+      const i = cycle
+        ? `(${played.size}/${mapping.length})`
+        : `(${randomIndex + 1}/${shuffled.length})`;
+      playVideo(videoId, `#${mpName}_${i}`);
+    };
+
+    // Place of the playing video in an order, from the position that playVideo has put in the hash when there is one,
+    // since a favorite is in the order more than once
+    function findPlayingIndex(ordered, videoId) {
+      const match = location.hash.match(/_\((\d+)\/\d+\)$/);
+      const idx = match ? parseInt(match[1]) - 1 : -1;
+      if (ordered[idx]?.id === videoId) return idx;
+      return ordered.findIndex(a => a.id === videoId);
+    }
+
+    // Changes the video, keeping the page when the player is visible, and puts the hash in the URL
+    function playVideo(videoId, hash) {
+      const href = `/watch?v=${videoId}`;
+      const player = document.getElementById("ytd-player")?.getPlayer();
 
       // If player is visible
       if (player && isPlayerVisible(player)) {
@@ -1837,19 +6461,436 @@
         // This fully reloads the page
         window.location.href = href + hash;
       }
-
-    };
+    }
     prevButton.addEventListener('click', () => { manualEnable(); nextVideo(-1) });
     nextButton.addEventListener('click', () => { manualEnable(); nextVideo() });
 
+    // Video that the block and favorite buttons act on
+    function getCurrentVideo() {
+      const player = document.getElementById("ytd-player")?.getPlayer();
+      const data = player?.getVideoData();
+      if (!data?.video_id) return null;
+      return { id: data.video_id, title: data.title };
+    }
+
+    function updateFavoriteButton() {
+      const video = getCurrentVideo();
+      const masterPlaylist = getMasterPlaylists()[currentMasterId];
+      const isFavorite = video && masterPlaylist && getListedVideoIds(masterPlaylist, 'favorites').has(video.id);
+      favoriteButton.textContent = isFavorite ? "★" : "☆";
+    }
+
+    favoriteButton.addEventListener('click', () => {
+      const video = getCurrentVideo();
+      if (!currentMasterId || !video) return;
+      toggleListedVideo(currentMasterId, 'favorites', video);
+      updateFavoriteButton();
+    });
+
+    blockButton.addEventListener('click', async () => {
+      const video = getCurrentVideo();
+      if (!currentMasterId || !video) return;
+      const masterId = currentMasterId;
+      const masterPlaylist = getMasterPlaylists()[masterId];
+      if (!getListedVideoIds(masterPlaylist, 'blocked').has(video.id) &&
+        !confirm(`Block "${video.title}" in ${masterPlaylist.name}?`)) return;
+
+      // Place of the video before it leaves the order, the video after it then takes the same place
+      const seed = parseInt(seedInput.value);
+      const ordered = resolvePlayOrder(masterPlaylist, await getVideoMapping(masterPlaylist), seed, shuffleCheck.checked);
+      const position = isNaN(seed) && shuffleCheck.checked ? -1 : findPlayingIndex(ordered, video.id);
+
+      if (toggleListedVideo(masterId, 'blocked', video)) {
+        updateFavoriteButton();
+        manualEnable();
+        nextVideo(1, { startIndex: position === -1 ? undefined : position });
+      }
+    });
+    onStorageChanged((key) => {
+      if (key === MASTER_PLAYLIST_KEY) updateFavoriteButton();
+    });
+    masterSelect.addEventListener('change', updateFavoriteButton);
+
+    // --------- QUEUE PANEL ----------
+    // Lists the videos around the current one in the order that Next and Prev walk
+    const queuePanel = document.createElement("div");
+    queuePanel.style.cssText = `
+      position: fixed;
+      top: 3.5rem;
+      right: 1rem;
+      width: 26rem;
+      max-height: 70vh;
+      overflow-y: auto;
+      background: rgba(0, 0, 0, 0.85);
+      border-radius: 0.5rem;
+      padding: 0.5rem;
+      z-index: 1000000;
+      color: white;
+      font-family: Arial, sans-serif;
+      font-size: 1.2rem;
+      display: none;
+    `;
+    document.body.appendChild(queuePanel);
+
+    function setQueueOpen(open) {
+      queuePanel.style.display = open ? "block" : "none";
+      sessionStorage.setItem("tm_session_queue_open", open);
+      if (open) renderQueue();
+    }
+    queueButton.addEventListener('click', () => {
+      setQueueOpen(queuePanel.style.display === "none");
+    });
+
+    // Debounced since every storage signal and input of the top bar asks for it
+    const renderQueue = debounce(() => {
+      drawQueue().catch(e => logError(`Failed to render the queue e: ${e}`));
+    }, 200);
+
+    async function drawQueue() {
+      if (queuePanel.style.display === "none") return;
+
+      const showMessage = (msg) => {
+        const msgDiv = document.createElement("div");
+        msgDiv.textContent = msg;
+        msgDiv.style.cssText = `
+          opacity: 0.6;
+          padding: 0.5rem;
+        `;
+        queuePanel.replaceChildren(msgDiv);
+      };
+
+      const masterId = currentMasterId;
+      const masterPlaylist = getMasterPlaylists()[masterId];
+      if (!masterPlaylist) {
+        showMessage("No master playlist selected.");
+        return;
+      }
+      const seed = parseInt(seedInput.value);
+      if (shuffleCheck.checked && isNaN(seed)) {
+        showMessage("Enter a seed to see the order, an empty seed shuffles anew every time.");
+        return;
+      }
+      const mapping = await getVideoMapping(masterPlaylist);
+      if (mapping.length === 0) {
+        showMessage("No videos found in the selected playlists/channels.");
+        return;
+      }
+
+      const ordered = resolvePlayOrder(masterPlaylist, mapping, seed, shuffleCheck.checked);
+      const skipped = await getSkippedVideoIds(masterId);
+      const played = cycleCheck.checked ? new Set((await getCycleState(masterId)).played) : new Set();
+      const subTitles = new Map(masterPlaylist.subPlaylists.map(sub => [sub.id, sub.title || sub.id]));
+      const mpName = masterPlaylist.name.replaceAll(/\s/g, "_");
+
+      // The current video in the middle, or the start of the list if it is not in it
+      const current = getCurrentVideo();
+      const currentIndex = current ? findPlayingIndex(ordered, current.id) : -1;
+      const size = getSetting('queueSize');
+      let offsets;
+      if (currentIndex === -1) {
+        offsets = Array.from({ length: Math.min(size * 2 + 1, ordered.length) }, (_, k) => k);
+      } else {
+        const span = Math.min(size, Math.floor((ordered.length - 1) / 2));
+        offsets = Array.from({ length: span * 2 + 1 }, (_, k) => currentIndex + k - span);
+      }
+
+      // Next plays the next episode of a sequential sub–playlist in place of the video that shuffle picks,
+      // and so do the slots after the current one here, with the episodes going on from slot to slot
+      const progress = shuffleCheck.checked ? { ...await getSeriesProgress(masterId) } : null;
+      const sequentialSubs = new Map(masterPlaylist.subPlaylists
+        .filter(sub => sub.sequential)
+        .map(sub => [sub.id, sub]));
+
+      queuePanel.replaceChildren();
+      for (const offset of offsets) {
+        const idx = (offset % ordered.length + ordered.length) % ordered.length;
+        let info = ordered[idx];
+        const sequentialSub = sequentialSubs.get(info._meta.subPlaylist.id);
+        const isEpisode = progress && sequentialSub && offset > currentIndex &&
+          !skipped.has(info.id) && !played.has(info.id);
+        if (isEpisode) {
+          info = getNextEpisode(getEpisodes(mapping, sequentialSub), progress[sequentialSub.id]);
+          progress[sequentialSub.id] = info.id;
+        }
+
+        const itemDiv = document.createElement("div");
+        itemDiv.style.cssText = `
+          display: flex;
+          align-items: center;
+          padding: 0.3rem;
+          border-radius: 0.3rem;
+          cursor: pointer;
+        `;
+        if (idx === currentIndex) {
+          itemDiv.style.background = "#fff3";
+        } else if (skipped.has(info.id) || played.has(info.id)) {
+          // Next passes over these
+          itemDiv.style.opacity = "0.4";
+        }
+
+        const img = document.createElement("img");
+        img.src = getThumbnailUrl(info.id);
+        img.loading = "lazy";
+        img.style.cssText = `
+          width: 6.4rem;
+          height: 3.6rem;
+          object-fit: cover;
+          border-radius: 0.3rem;
+          margin-right: 0.5rem;
+          flex-shrink: 0;
+        `;
+        itemDiv.appendChild(img);
+
+        const textDiv = document.createElement("div");
+        textDiv.style.cssText = `
+          overflow: hidden;
+          flex: 1;
+        `;
+        const titleDiv = document.createElement("div");
+        titleDiv.textContent = `${idx + 1}. ${info.title || info.id}`;
+        titleDiv.style.cssText = `
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        `;
+        textDiv.appendChild(titleDiv);
+        const subDiv = document.createElement("div");
+        subDiv.textContent = subTitles.get(info._meta.subPlaylist.id) ?? info._meta.subPlaylist.id;
+        if (isEpisode) subDiv.textContent += " · next in order";
+        subDiv.style.cssText = `
+          font-size: 1rem;
+          opacity: 0.6;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        `;
+        textDiv.appendChild(subDiv);
+        itemDiv.appendChild(textDiv);
+
+        const position = isEpisode ? ordered.indexOf(info) : idx;
+        itemDiv.addEventListener('click', () => {
+          manualEnable();
+          playVideo(info.id, `#${mpName}_(${position + 1}/${ordered.length})`);
+        });
+        queuePanel.appendChild(itemDiv);
+      }
+    }
+
+    seedInput.addEventListener("input", renderQueue);
+    shuffleCheck.addEventListener("change", renderQueue);
+    cycleCheck.addEventListener("change", renderQueue);
+    masterSelect.addEventListener("change", renderQueue);
+    // Only the data that the queue shows, not e.g. the quota or other masters
+    onStorageChanged((key) => {
+      const masterPlaylist = getMasterPlaylists()[currentMasterId];
+      if (!masterPlaylist) return;
+      const keys = [HISTORY_KEY_PREFIX, CYCLE_KEY_PREFIX, SERIES_KEY_PREFIX]
+        .map(prefix => prefix + currentMasterId)
+        .concat(masterPlaylist.subPlaylists.map(sub =>
+          (sub.type === 'channel' ? 'tm_sub_playlist_channel_' : 'tm_sub_playlist_') + sub.id));
+      if (key === MASTER_PLAYLIST_KEY || keys.includes(key)) renderQueue();
+    });
+    onSettingsChanged(renderQueue);
+    setQueueOpen("true" == sessionStorage.getItem("tm_session_queue_open"));
+
+    // --------- SEARCH DIALOG ----------
+    let searchModalOpen = false;
+    async function openSearchModal() {
+      if (searchModalOpen) return;
+      const masterId = currentMasterId;
+      const masterPlaylist = getMasterPlaylists()[masterId];
+      if (!masterPlaylist) {
+        alert("No master playlist selected.");
+        return;
+      }
+      searchModalOpen = true;
+
+      const { modalOverlay, modalContent } = createModal();
+      const closeModal = () => {
+        // It may have been closed while the videos were loading
+        if (!modalOverlay.isConnected) return;
+        searchModalOpen = false;
+        document.body.removeChild(modalOverlay);
+      };
+      modalOverlay.addEventListener('click', (e) => {
+        if (e.target === modalOverlay) closeModal();
+      });
+
+      const titleDiv = document.createElement("div");
+      titleDiv.textContent = `Search ${masterPlaylist.name}`;
+      titleDiv.style.cssText = modalTitleStyle;
+      modalContent.appendChild(titleDiv);
+
+      const searchInput = document.createElement("input");
+      searchInput.type = "text";
+      searchInput.placeholder = "Title, channel or video id";
+      searchInput.style.cssText = `
+        width: 100%;
+        outline: none;
+        appearance: none;
+        border: none;
+        padding: .3rem;
+        box-sizing: border-box;
+        margin-bottom: 1rem;
+      `;
+      modalContent.appendChild(searchInput);
+
+      const listContainer = document.createElement("div");
+      listContainer.style.cssText = `
+        overflow-y: auto;
+        max-height: 30rem;
+      `;
+      modalContent.appendChild(listContainer);
+
+      let mapping;
+      try {
+        mapping = await getVideoMapping(masterPlaylist);
+      } catch (e) {
+        // Closing also lets the shortcut open the dialog again
+        closeModal();
+        logError(`Failed to load the videos of ${masterPlaylist.name} e: ${e}`, { showAlert: true });
+        return;
+      }
+      const subTitles = new Map(masterPlaylist.subPlaylists.map(sub => [sub.id, sub.title || sub.id]));
+      let results = [];
+      let selected = 0;
+
+      // Plays the result, Next and Prev then carry on from its place in the order
+      const pick = (info) => {
+        closeModal();
+        const seed = parseInt(seedInput.value);
+        const ordered = resolvePlayOrder(masterPlaylist, mapping, isNaN(seed) ? Date.now() : seed, shuffleCheck.checked);
+        const idx = ordered.findIndex(a => a.id === info.id);
+        const mpName = masterPlaylist.name.replaceAll(/\s/g, "_");
+        manualEnable();
+        playVideo(info.id, `#${mpName}_(${idx + 1}/${ordered.length})`);
+      };
+
+      const renderResults = () => {
+        listContainer.replaceChildren();
+        results.forEach((info, k) => {
+          const itemDiv = document.createElement("div");
+          itemDiv.style.cssText = `
+            display: flex;
+            align-items: center;
+            padding: 0.3rem;
+            border-radius: 0.3rem;
+            cursor: pointer;
+          `;
+          if (k === selected) itemDiv.style.background = "#fff3";
+
+          const img = document.createElement("img");
+          img.src = getThumbnailUrl(info.id);
+          img.loading = "lazy";
+          img.style.cssText = `
+            width: 6.4rem;
+            height: 3.6rem;
+            object-fit: cover;
+            border-radius: 0.3rem;
+            margin-right: 0.5rem;
+            flex-shrink: 0;
+          `;
+          itemDiv.appendChild(img);
+
+          const textDiv = document.createElement("div");
+          textDiv.style.overflow = "hidden";
+          const nameDiv = document.createElement("div");
+          nameDiv.textContent = info.title || info.id;
+          textDiv.appendChild(nameDiv);
+          const infoDiv = document.createElement("div");
+          infoDiv.textContent = `${info.channelTitle} - ${subTitles.get(info._meta.subPlaylist.id) ?? info._meta.subPlaylist.id}`;
+          infoDiv.style.fontSize = "1rem";
+          infoDiv.style.opacity = "0.6";
+          textDiv.appendChild(infoDiv);
+          itemDiv.appendChild(textDiv);
+
+          itemDiv.addEventListener('click', () => pick(info));
+          listContainer.appendChild(itemDiv);
+        });
+      };
+
+      searchInput.addEventListener('input', debounce(() => {
+        results = searchVideos(mapping, searchInput.value);
+        selected = 0;
+        renderResults();
+      }, 150));
+      searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          closeModal();
+        } else if (e.key === 'Enter') {
+          if (results[selected]) pick(results[selected]);
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          if (results.length === 0) return;
+          selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+          renderResults();
+          listContainer.children[selected]?.scrollIntoView({ block: "nearest" });
+        }
+        // Keep the keys away from the shortcuts of YouTube
+        e.stopPropagation();
+      });
+      searchInput.focus();
+    }
+
+    searchButton.addEventListener('click', openSearchModal);
+    document.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.shiftKey && e.code === 'KeyF') {
+        e.preventDefault();
+        openSearchModal();
+      }
+    });
+
     const onNavigate = () => {
       let videoInterval = setInterval(() => {
         const player = document.getElementById("ytd-player")?.getPlayer();
         if (player) {
           clearInterval(videoInterval);
 
-          player.addEventListener("onStateChange", () => {
-            if (player.getPlayerState() === YT_PLAYER_STATE_ENDED) nextVideo();
+          // Records plays of the videos of the current master playlist in its history.
+          // The watched fraction is the time actually played over the duration, wherever the playhead is,
+          // so seeking to the end does not make a video count as watched
+          let watch = null;
+          let shownVideoId = null; // Video that the favorite button and the queue were last updated for
+          const trackWatch = async (videoId, playedSeconds, duration, force = false) => {
+            if (!enabeldCheck.checked || !currentMasterId) return;
+
+            if (watch?.id !== videoId || watch.masterId !== currentMasterId) {
+              const masterId = currentMasterId;
+              const masterPlaylist = getMasterPlaylists()[masterId];
+              watch = {
+                id: videoId,
+                masterId,
+                startedAt: Date.now(),
+                recordedAt: 0,
+                played: 0,
+                fraction: 0,
+                // Videos outside the master playlist are not recorded
+                inMaster: masterPlaylist
+                  ? getVideoMapping(masterPlaylist).then(async (mapping) => {
+                    await recordEpisode(masterId, masterPlaylist, mapping, videoId);
+                    return mapping.some(a => a.id === videoId);
+                  }).catch(() => false)
+                  : Promise.resolve(false),
+              };
+            }
+
+            const current = watch;
+            current.played += playedSeconds;
+            if (duration > 0) current.fraction = Math.min(current.played / duration, 1);
+            const now = Date.now();
+            if (!force && now - current.recordedAt < WATCH_RECORD_INTERVAL) return;
+            current.recordedAt = now;
+            if (await current.inMaster) {
+              await recordWatch(current.masterId, current.id, current.startedAt, current.fraction);
+            }
+          };
+
+          player.addEventListener("onStateChange", async () => {
+            if (player.getPlayerState() === YT_PLAYER_STATE_ENDED) {
+              const videoId = player.getVideoData()?.video_id;
+              if (videoId) await trackWatch(videoId, 0, player.getDuration(), true);
+              nextVideo();
+            }
           });
 
           // Refresh the cache when the end is near
@@ -1870,16 +6911,26 @@
                 return;
               }
 
+              // Only the small steps of normal playback add up, the jump of a seek was returned above
+              const videoId = player.getVideoData()?.video_id;
+              if (videoId && d > 0) trackWatch(videoId, Math.max(dct, 0), d);
+              if (videoId !== shownVideoId) {
+                shownVideoId = videoId;
+                updateFavoriteButton();
+                renderQueue();
+              }
+
               // Check last refresh
               const now = Date.now();
-              if (now - lastRefresh < 30 * 60 * 1000) {
+              if (now - lastRefresh < getSetting('refreshCooldownMinutes') * 60 * 1000) {
                 return;
               }
 
               // Refresh playlist in advance when nearing the end
-              if ((d > 1200 && d - ct < 310 && d - ct > 90) ||
-                (d > 600 && d - ct < 190 && d - ct > 90) ||
-                (d > 300 && d - ct < 110 && d - ct > 90)) { // 2000+ channel takes tens of seconds to fetch
+              // 2000+ channel takes tens of seconds to fetch, so the last seconds are too late
+              const left = d - ct;
+              if (left > getSetting('nearEndMargin') &&
+                getSetting('nearEndWindows').some(([length, before]) => d > length && left < before)) {
 
                 lastRefresh = now;
 
@@ -1897,6 +6948,19 @@
     };
     onNavigate();
 
+    // Link that opened this page
+    if (launchShareHash) {
+      if (location.hash === launchShareHash) {
+        history.replaceState(history.state, '', location.pathname + location.search);
+      }
+      const { share, errors } = parseShareHash(launchShareHash);
+      if (errors.length > 0) {
+        alertErrors("Invalid share link", errors);
+      } else {
+        openShareImportModal(share);
+      }
+    }
+
   });
 
 })();